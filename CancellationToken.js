@@ -0,0 +1,70 @@
+"use strict";
+
+var CancellationError = require('./exceptions.js').CancellationError;
+
+/**
+ * Tells a running command that it's execution has been cancelled, either
+ * because it took longer than it's timeout, or because the user asked for it.
+ *
+ * Each execution has it's own token, in the cancellation attribute of it's
+ * context. Once cancelled, the execution fails right away with a
+ * CancellationError (or a TimeoutError), but the run method goes on unless it
+ * stops by itself, so long-running commands should check the token between
+ * their steps, or listen to it to abort their requests:
+ *     run(context){
+ *         let request = backend.start(context.model);
+ *         context.cancellation.onCancel(() => request.abort());
+ *         return request.promise;
+ *     }
+ */
+class CancellationToken {
+    constructor(){
+        this.cancelled = false;
+        this.reason = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Cancels the execution, notifying every listener. Does nothing if the
+     * execution was already cancelled.
+     * @param {string} reason - Optional. Why the execution was cancelled.
+     */
+    cancel(reason){
+        if(this.cancelled){
+            return;
+        }
+        this.cancelled = true;
+        this.reason = reason || 'cancelled';
+        let listeners = this.listeners;
+        this.listeners = [];
+        for(let listener of listeners){
+            listener(this.reason);
+        }
+    }
+
+    /**
+     * Adds a listener that is invoked with the reason when the execution is
+     * cancelled, or right away if it already was.
+     * @param {function} listener
+     */
+    onCancel(listener){
+        if(this.cancelled){
+            listener(this.reason);
+        } else {
+            this.listeners.push(listener);
+        }
+    }
+
+    /**
+     * Throws a CancellationError if the execution has been cancelled, so that
+     * the run method can stop between it's steps.
+     * @throws {CancellationError}
+     */
+    throwIfCancelled(){
+        if(this.cancelled){
+            throw new CancellationError('The execution was cancelled: '+this.reason);
+        }
+    }
+}
+
+module.exports = CancellationToken;
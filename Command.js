@@ -2,6 +2,18 @@
 
 var ValidationError = require('./exceptions.js').ValidationError;
 var ParseError = require('./exceptions.js').ParseError;
+var TimeoutError = require('./exceptions.js').TimeoutError;
+var CancellationError = require('./exceptions.js').CancellationError;
+var Parameter = require('./Parameter');
+var parameterTypes = require('./parameters');
+var tokenize = require('./tokenizer.js').tokenize;
+var help = require('./help.js');
+var InvocationContext = require('./InvocationContext.js');
+var authorization = require('./authorization.js');
+var Question = require('./Question.js');
+var suggestions = require('./suggestions.js');
+var rateLimiting = require('./rateLimiting.js');
+var executionHistory = require('./executionHistory.js');
 var Promise = require('bluebird');
 
 /**
@@ -35,10 +47,10 @@ var Promise = require('bluebird');
  *             this.addParameter(new ToParameter(this));
  *             this.help = "A test command to prove the system works";
  *         }
- *         run(){
+ *         run(context){
  *             return new Promise(function(resolve){ //No need to return a promise, it can be anything.
- *                 return "completed successfully with from parameter equal to: "+this.from;
- *             }).bind(this.model);
+ *                 resolve("completed successfully with from parameter equal to: "+context.model.from);
+ *             });
  *         }
  *     }
  * Where FromParameter is defined like so:
@@ -48,14 +60,21 @@ var Promise = require('bluebird');
  *             this.help.header = 'to define when to start';
  *             this.help.detail = '
  *         }
- *         parse(parameterValue){
+ *         parse(parameterValue,context){
  *             if(typeof parameterValue === "undefined" || parameterValue !== '') {
  *              throw new ParseError('the "from" parameter cannot be empty');
  *             }
- *             this.model.from = new Date(parameterValue);
+ *             context.model.from = new Date(parameterValue);
  *         }
  *     }
  *
+ * Each execution has it's own InvocationContext, which holds the model where the parameters
+ * put their values, along with the input, the user and the room, so a single instance of a
+ * command can execute many inputs at the same time. For compatibility, the model attribute of
+ * the command is set to the model of the current execution right before the parameters parse
+ * their values and before validate and run are invoked, but it is only safe to use until the
+ * first asynchronous operation; the context should be preferred.
+ *
  * A command also has help by default, both for the command itself, and for it's parameters.
  * When the user types "<commandName> help", then the help action of the command is executed,
  * which uses the help attribute of the command and of it's parameters help.header to display
@@ -64,6 +83,39 @@ var Promise = require('bluebird');
  * text provided by the parameter's help.detail attribute, which may also be overridden by
  * subclasses to provide a detailed help.
  *
+ * A command may be restricted to some users, by listing the roles that may use it in the roles
+ * attribute, or by implementing the authorize method. Parameters can be restricted the same way,
+ * and subcommands are restricted by their parents too. The roles of the user are given by the
+ * roleProvider option of the execution, see the roles folder.
+ *
+ * A destructive command may ask the user to confirm it before running, by setting the confirm
+ * attribute to true, or to a predicate on the model. The execution then results in a Question,
+ * and the command only runs if the same user answers it affirmatively in the same room before
+ * it expires. The pending confirmations are kept by the conversations option of the execution,
+ * which the Dispatcher provides, see the ConversationStore.
+ *
+ * Besides it's name, a command may be triggered by any of it's aliases, such as "ship" for a
+ * "deploy" command, and parameters may declare aliases too. When the caseInsensitive attribute
+ * is true, the names and aliases of the command, it's parameters and it's subcommands are matched
+ * regardless of their case.
+ *
+ * The commands that are expensive to run may limit how often they are run, by each user, each room
+ * or everyone, with the rateLimit and cooldown attributes. When a limit is reached, the execution
+ * fails with a RateLimitError right before running. See the rateLimiting module.
+ *
+ * The run method may be given a timeout, after which the execution fails with a TimeoutError. An
+ * execution may also be cancelled, as the cancel command does, which makes it fail with a
+ * CancellationError. Either way, the run method is told through the cancellation token of the
+ * context, see CancellationToken.
+ *
+ * Cross-cutting behavior, such as logging or input normalization, can be hooked into the executions
+ * with middlewares, see the use method.
+ *
+ * In the same way, a command whose promptMissing attribute is true asks the user for each
+ * missing required parameter, with the promptText of the parameter, instead of failing. The
+ * next input of the user in the room is parsed by the parameter, and once every required
+ * parameter has a value, the execution goes on. The user may answer "cancel" to stop it.
+ *
  */
 class Command {
 	constructor(commandName){
@@ -73,198 +125,954 @@ class Command {
 		// cache of whole command input parameters that will receive the whole command input string
 		// instead of just a part of it.
 		this.wholeCommandParameters = []; 
+        // cache of the positional parameters, in the order they were added.
+        this.positionalParameters = [];
+        // the model of the current execution, kept for compatibility. See the class documentation.
         this.model = {};
         this.help = commandName; //Stupid help default
+        this.syntax = Command.SYNTAX_KEYWORD;
+        // child commands, by name, and the command this one is a child of.
+        this.subcommands = {};
+        this.parent = null;
+        // examples of inputs for the help, and the format in which the help is given.
+        this.examples = [];
+        this.helpFormat = 'text';
+        // the category of the command, to group it with others in the registry.
+        this.category = null;
+        // the roles that may use the command, any of them being enough. Empty for everyone.
+        this.roles = [];
+        // whether the user must confirm the execution, or a predicate on the model that tells it,
+        // and the question asked to do so.
+        this.confirm = false;
+        this.confirmationQuestion = 'Are you sure? (yes/no)';
+        // whether to ask the user for the missing required parameters instead of failing.
+        this.promptMissing = false;
+        // other names that trigger the command, and whether the names of the command and of
+        // it's parameters and subcommands are matched regardless of their case.
+        this.aliases = [];
+        this.caseInsensitive = false;
+        // the middlewares that hook into the executions of the command, see the use method.
+        this.middlewares = [];
+        // whether the parameters parse and validate their values at the same time, which is
+        // worth it when they do so asynchronously, instead of one after the other.
+        this.parallelParsing = false;
+        // how often the command may be run, see the rateLimiting module. Null for no limit.
+        this.rateLimit = null;
+        this.cooldown = null;
+        // the milliseconds the run method is given to finish. Null for no limit.
+        this.timeout = null;
+        // whether the input is taken as it is written, without the dispatcher splitting it into
+        // a chain nor expanding it's macros, for the commands whose input holds other commands.
+        this.rawInput = false;
+    }
+
+    /**
+     * Adds a middleware to the command, which hooks into each of it's executions, and the
+     * executions of it's subcommands. A middleware is an object with any of these methods:
+     *  - beforeParse(context): before checking the permissions and parsing the input, which
+     *    may be changed through context.input.
+     *  - afterParse(context): once the model is complete, valid and allowed, before asking
+     *    for the confirmation, if any. It may change context.model.
+     *  - beforeRun(context): right before the run method.
+     *  - afterRun(context,result): with the result of the run method. Returning a value other
+     *    than undefined replaces the result.
+     *  - onError(context,error): when the execution fails. Returning a value other than
+     *    undefined recovers from the error with that value as the result, and throwing
+     *    replaces the error. Otherwise the error goes on.
+     * Returning a value other than undefined from beforeParse, afterParse or beforeRun ends the
+     * execution with that value as the result, without running the command. Any of the methods
+     * may return a promise. The middlewares given by the middlewares option of the execution
+     * (see Dispatcher.use) come first, then the ones of the parent commands, then the ones of
+     * the command, each in the order they were added.
+     * @param {object} middleware - the middleware.
+     * @returns {Command} - this command, to allow chaining.
+     */
+    use(middleware){
+        this.middlewares.push(middleware);
+        return this;
+    }
+
+    /**
+     * Creates the context of an execution of the command.
+     * @param {string} inputCommand - the whole input.
+     * @param {object} options - Optional. The attributes of the context, see InvocationContext.
+     * @returns {InvocationContext}
+     */
+    createContext(inputCommand,options){
+        return new InvocationContext(this,inputCommand,options);
     }
 
     /**
      * Parses the given input string. Performs the parsing without executing the
-     * command itself. By the time the parsing is complete, the model of the command
-     * instance has been created/modified so that the execute method can act upon it.
+     * command itself. By the time the parsing is complete, the model of the
+     * context has been created/modified so that the execute method can act upon it.
+     * The parameters that are not given take their default value, and if any of them
+     * is required, the parsing fails before the validation.
      * A semantic validation of the parameters is done upon ending the parse method.
      * Each subclass may override the default validate method (which returns always true).
      *
      * @param {string} commandString - the command string to parse.
+     * @param {InvocationContext} context - Optional. The context of the execution. A new
+     *        one is created if not given.
+     * @private
+     * @returns {promise} - A promise with the model of the context.
+     * @throws {ParseError} - When one of the parameters are not valid, required parameters
+     *                        are missing, or the command itself cannot be parsed by this object.
+     * @throws {ValidationError} - When the command doesn't pass the semantic validation.
+     */
+    _parse(commandString,context){
+        context = context || this.createContext(commandString);
+        return this._parseArguments(commandString,context)
+            .then(()=>{
+                this._checkMissingParameters(context);
+                return this._validateModel(context);
+            });
+    }
+
+    /**
+     * First phase of the parsing: gives the values found in the input to the
+     * parameters, and the default value to the optional parameters that are not
+     * given. The missing required parameters are not checked.
+     * @param {string} commandString - the command string to parse.
+     * @param {InvocationContext} context - the context of the execution.
      * @private
      * @returns {promise} - A promise with no result.
-     * @throws {ParseError} - When one of the parameters are not valid, or the command itself
+     * @throws {ParseError} - When one of the parameters are not valid or the command itself
      *                        cannot be parsed by this object.
-     * @throws {ValidationError} - When the command doesn't pass the semantic validation.
      */
-    _parse(commandString){
+    _parseArguments(commandString,context){
         return new Promise((resolve)=>{
             // Quick command validation
             if(!this.willParseCommand(commandString)){
-                throw new ParseError('The given input ('+commandString+') cannot be parsed by the command '+this.name);
+                let suggestedNames = suggestions.suggest(commandString,[this.name].concat(this.aliases));
+                throw new ParseError('The given input ('+commandString+') cannot be parsed by the command '+this.name
+                    +suggestions.didYouMean(suggestedNames),{suggestions: suggestedNames});
+            }
+
+            // A command made only of subcommands cannot be executed by itself
+            if(Object.keys(this.subcommands).length > 0 && this.run === Command.prototype.run){
+                throw new ParseError('The command '+this.fullName()+' needs one of the subcommands: '+Object.keys(this.subcommands).join(', '));
             }
 
             // We substract the name of the command, since were only interested
             // in the parameters now.
-            commandString = commandString.substring(this.name.length+1);
+            commandString = this._stripName(commandString).trim();
+            context.arguments = commandString;
+            this.model = context.model;
 
 			// First give the whole command string to the complex parameters
-			for(let wholeCommandParameter of this.wholeCommandParameters){
-				wholeCommandParameter.parse(commandString);
-			}
-
-            // Then give the partial values to the rest of parameters.
-			// 
-            // We know that each parameter will be separated by another
-            // by the parameter names themselves.
-            // Parameters names are one word only to simplify distinction
-            var words = commandString.split(" ");
-            var parameterValueBuffer = "";
-            var previousParameter = null;
-            for (var i = 0; i < words.length; i++) {
-                var currentWord = words[i];
-                var potentialParameter = this.getParameter(currentWord);
-				if(potentialParameter != null && potentialParameter.wholeCommandString) {
-					potentialParameter = null; //We don't want to process whole command parameters
-				}
-                if (potentialParameter != null) {
-                    // If we've found a new parameter, then we invoke the previous parameter
-                    // with the current parameterValueBuffer and start recollecting the value
-                    // for the next one.
-                    if (previousParameter != null) {
-                        previousParameter.parse(parameterValueBuffer.trim());
+			var piped = typeof context.piped !== 'undefined';
+			var assignments = this.wholeCommandParameters.map((parameter) => {
+				let value = piped && parameter.pipe ? (commandString+' '+pipedText(context.piped)).trim() : commandString;
+				return {parameter: parameter, value: value};
+			});
+
+            // Then give the partial values to the rest of parameters, as found
+            // in the input by the syntax of the command, unless the complex
+            // parameters are the only ones, and so take care of the whole input.
+            let wholeCommandCount = this.wholeCommandParameters.length;
+            if(wholeCommandCount === 0 || wholeCommandCount < Object.keys(this.parameters).length){
+                context.tokens = tokenize(commandString);
+                assignments = assignments.concat(this.syntax === Command.SYNTAX_FLAGS
+                    ? assignFlagValues(this,context.tokens)
+                    : assignKeywordValues(this,context.tokens));
+            }
+            var givenParameters = context.givenParameters;
+            for(let assignment of assignments){
+                let parameter = assignment.parameter;
+                if(parameter.wholeCommandString){
+                    continue;
+                }
+                if(givenParameters.has(parameter) && !parameter.multiple){
+                    throw new ParseError('The parameter '+parameter.name+' cannot be given more than once');
+                }
+                givenParameters.add(parameter);
+            }
+
+            // The parameters that take the piped result get it when they are not given
+            if(piped){
+                for(let key in this.parameters){
+                    let parameter = this.parameters[key];
+                    if(parameter.pipe && !parameter.wholeCommandString && !givenParameters.has(parameter)){
+                        assignments.push({parameter: parameter, value: pipedText(context.piped)});
+                        givenParameters.add(parameter);
                     }
-                    previousParameter = potentialParameter;
-                    parameterValueBuffer = "";
-                } else {
-                    //If this word isn't a new parameter, then we add the current word to
-                    //the value buffer that will be passed to the current parameter
-                    parameterValueBuffer += currentWord+" ";
                 }
             }
-            // Upon reaching the end of the parameter parsing, we can be in one of the following states:
-            // - The parameterValueBuffer is not empty, which means that this was the current parameter is
-            // the last, and must now be parsed.
-            // - The parameterValueBuffer is empty and the previousParameter has a value, which means that
-            // the last parameter has no value and must be parsed.
-            if ((parameterValueBuffer !== "") || (previousParameter !== null)) {
-                previousParameter.parse(parameterValueBuffer.trim());
+
+            resolve(this._parseValues(assignments,context));
+        }).then(()=>{
+            // The optional parameters that were not given take their default value, if any.
+            this.model = context.model;
+            for(let key in this.parameters){
+                let parameter = this.parameters[key];
+                if(!parameter.wholeCommandString && !parameter.required && !context.givenParameters.has(parameter)
+                    && parameter.hasDefault()){
+                    parameter.applyDefault(context);
+                }
             }
+        });
+    }
 
-            // Unless there has been an exception thrown while parsing the parameters, the model of the command
-            // has been modified, and the command is ready to be executed. If the subclass defines a validate
-            // method, it is invoked here, and if it returns false, an exception is thrown.
-            if (!this.validate()) {
-                //To throw a fully fledged exception with individual reasons.
-                throw new ValidationError("The arguments passed to the parameter are not valid");
+    /**
+     * Gives the values found in the input to their parameters, waiting for the
+     * ones whose parse method returns a promise. The values are parsed one after
+     * the other, unless the parallelParsing attribute is true, in which case each
+     * parameter parses it's values at the same time as the other parameters, the
+     * values of a multiple parameter being parsed in order.
+     * @param {Array} assignments - the values of the parameters, as {parameter,value}.
+     * @param {InvocationContext} context - the context of the execution.
+     * @private
+     * @returns {Promise} - with no result.
+     * @throws {ParseError} - When a parameter cannot parse it's value.
+     */
+    _parseValues(assignments,context){
+        if(!this.parallelParsing){
+            return Promise.each(assignments,(assignment) => parseValue(assignment.parameter,assignment.value,context));
+        }
+
+        let assignmentsByParameter = new Map();
+        for(let assignment of assignments){
+            if(!assignmentsByParameter.has(assignment.parameter)){
+                assignmentsByParameter.set(assignment.parameter,[]);
             }
+            assignmentsByParameter.get(assignment.parameter).push(assignment);
+        }
+        return Promise.all(Array.from(assignmentsByParameter.values()).map((parameterAssignments) => {
+            return Promise.each(parameterAssignments,(assignment) => parseValue(assignment.parameter,assignment.value,context));
+        }));
+    }
 
-            resolve(this.model);
-        });
+    /**
+     * Gives the required parameters that were not given in the input.
+     * @param {InvocationContext} context - the context of the execution, already parsed.
+     * @private
+     * @returns {Array} - the missing parameters, in the order they were added.
+     */
+    _missingParameters(context){
+        let missingParameters = [];
+        for(let key in this.parameters){
+            let parameter = this.parameters[key];
+            if(parameter.required && !parameter.wholeCommandString && !context.givenParameters.has(parameter)){
+                missingParameters.push(parameter);
+            }
+        }
+
+        return missingParameters;
+    }
+
+    /**
+     * Checks that every required parameter was given. They are reported all at
+     * once, so that the user can fix the command in one go.
+     * @param {InvocationContext} context - the context of the execution, already parsed.
+     * @private
+     * @throws {ParseError} - When any of the required parameters is missing.
+     */
+    _checkMissingParameters(context){
+        let missingParameters = this._missingParameters(context).map((parameter) => parameter.name);
+        if(missingParameters.length > 0){
+            throw new ParseError('Missing required parameters: '+missingParameters.join(', '),{
+                missingParameters: missingParameters
+            });
+        }
+    }
+
+    /**
+     * Last phase of the parsing: the validation of the model. Each parameter with a
+     * value validates it, and if all of them are valid, the validate method of the
+     * subclass is invoked. Either way, the reasons of the failure are gathered in
+     * the thrown exception.
+     * The validate methods may return promises, which are waited for. The parameters
+     * validate their values one after the other, unless the parallelParsing attribute
+     * is true.
+     * @param {InvocationContext} context - the context of the execution, already parsed.
+     * @private
+     * @returns {Promise} - with the model of the context.
+     * @throws {ValidationError} - When the model is not valid.
+     */
+    _validateModel(context){
+        this.model = context.model;
+        let parameters = [];
+        for(let key in this.parameters){
+            if(typeof this.parameters[key].getValue(context) !== 'undefined'){
+                parameters.push(this.parameters[key]);
+            }
+        }
+
+        let validateParameter = (parameter) => validateValue(parameter,parameter.getValue(context),context);
+        let parameterValidations = this.parallelParsing
+            ? Promise.all(parameters.map(validateParameter))
+            : Promise.mapSeries(parameters,validateParameter);
+        return parameterValidations
+            .then((parameterErrors)=>{
+                let validationErrors = parameterErrors.filter((error) => error !== null);
+                if (validationErrors.length > 0) {
+                    throw createValidationError(validationErrors);
+                }
+
+                this.model = context.model;
+                return Promise.resolve(this.validate(context))
+                    .catch((error)=>{
+                        throw error instanceof ValidationError ? error : new ValidationError(errorMessage(error));
+                    });
+            })
+            .then((validationResult)=>{
+                if (!validationResult) {
+                    throw new ValidationError("The arguments passed to the parameter are not valid");
+                }
+                let validationErrors = normalizeValidationErrors(validationResult,context.model);
+                if (validationErrors.length > 0) {
+                    throw createValidationError(validationErrors);
+                }
+
+                return context.model;
+            });
     }
 
     /** 
 	 * Adds a parameter to this command that will be part of
      * the parsing process.
-     * @param {Parameter} parameter
+     * Instead of a Parameter instance, the configuration of one of the
+     * built-in typed parameters can be given, as in:
+     *     this.addParameter({name:'from', type:'date', help:'when to start'});
+     * @param {Parameter|object} parameter - the parameter or it's configuration.
      */
     addParameter(parameter){
+        if(!(parameter instanceof Parameter)){
+            parameter = parameterTypes.create(this,parameter);
+        }
        	this.parameters[parameter.name] = parameter;
 		if(parameter.wholeCommandString){
 			this.wholeCommandParameters.push(parameter);
 		} 
+        if(parameter.positional){
+            this.positionalParameters.push(parameter);
+        }
     }
 
     /**
-     * Retrieves a parameter of the command by name.
+     * Retrieves a parameter of the command by name, or by one of it's aliases.
      * @retuns {Parameter} null if it isn't found
      * @param {string} parameterName - The name of the parameter to retrieve
      */
     getParameter(parameterName){
-        var parameter = this.parameters[parameterName];
-        if (typeof parameter === "undefined") {
-            parameter = null;
+        var parameter = this.parameters.hasOwnProperty(parameterName) ? this.parameters[parameterName] : null;
+        if (parameter === null) {
+            for(let key in this.parameters){
+                if(this._matchesName(parameterName,[key].concat(this.parameters[key].aliases || []))){
+                    parameter = this.parameters[key];
+                    break;
+                }
+            }
         }
 
         return parameter;
     }
 
+    /**
+     * Retrieves a parameter of the command by it's short name, as used
+     * in the flags syntax (-f).
+     * @returns {Parameter} null if it isn't found
+     * @param {string} shortName - The short name of the parameter to retrieve
+     */
+    getParameterByShortName(shortName){
+        for(let key in this.parameters){
+            if(this.parameters[key].shortName === shortName){
+                return this.parameters[key];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Adds a child command to this command, so that an input such as
+     * "<commandName> <subcommandName> ..." is executed by the child, with
+     * it's own parameters, validation and run method.
+     * When a command has subcommands, it doesn't need to implement run: if it
+     * doesn't, an input that names none of the subcommands is a ParseError.
+     * @param {Command} subcommand - the child command.
+     */
+    addSubcommand(subcommand){
+        subcommand.parent = this;
+        this.subcommands[subcommand.name] = subcommand;
+    }
+
+    /**
+     * Retrieves a subcommand of the command by name, or by one of it's aliases.
+     * @returns {Command} null if it isn't found
+     * @param {string} subcommandName - The name of the subcommand to retrieve
+     */
+    getSubcommand(subcommandName){
+        if(this.subcommands.hasOwnProperty(subcommandName)){
+            return this.subcommands[subcommandName];
+        }
+        for(let key in this.subcommands){
+            if(this._matchesName(subcommandName,[key].concat(this.subcommands[key].aliases))){
+                return this.subcommands[key];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether a name written by the user is one of the given names, taking
+     * into account the caseInsensitive attribute.
+     * @param {string} writtenName - the name as written by the user.
+     * @param {Array} names - the name and aliases of a command or parameter.
+     * @private
+     * @returns {boolean}
+     */
+    _matchesName(writtenName,names){
+        let normalize = (name) => this.caseInsensitive ? name.toLowerCase() : name;
+        return names.some((name) => normalize(name) === normalize(writtenName));
+    }
+
+    /**
+     * The name of the command preceded by the names of it's parents,
+     * as written by the user, such as "deploy start".
+     * @returns {string}
+     */
+    fullName(){
+        return this.parent === null ? this.name : this.parent.fullName()+' '+this.name;
+    }
+
+    /**
+     * Finds the subcommand that must execute the given input, which is the
+     * one named right after the name of this command.
+     * @param {string} inputCommand - the input, starting with the name of this command.
+     * @private
+     * @returns {Command} - the subcommand, or null if the input names none.
+     */
+    _findSubcommand(inputCommand){
+        let rest = this._stripName(inputCommand).trim();
+        let bestMatch = null;
+        let bestLength = 0;
+        for(let subcommandName in this.subcommands){
+            let subcommand = this.subcommands[subcommandName];
+            let matchedName = subcommand.matchName(rest);
+            if(matchedName !== null && (bestMatch === null || matchedName.length > bestLength)){
+                bestMatch = subcommand;
+                bestLength = matchedName.length;
+            }
+        }
+
+        return bestMatch;
+    }
+
+    /**
+     * Finds the command that executes the given input: this one, or the subcommand
+     * named in it, at any depth.
+     * @param {string} inputCommand - the input, starting with the name of this command.
+     * @returns {Command} - the command.
+     */
+    resolve(inputCommand){
+        let subcommand = this.willParseCommand(inputCommand) ? this._findSubcommand(inputCommand) : null;
+        return subcommand === null ? this : subcommand.resolve(this._stripName(inputCommand).trim());
+    }
+
     /**
      * Performs the functionality that the command is associated with,
-     * based on the parameters it received on the parse function.
-     * This function can obtain the model produced by the parse function
-     * by calling this.getModel().
-     * The base class does not provide a default execute behaviour, which
-     * means that the user has to call parse either inside the implemented execute
-     * method or force it's user to call parse before executing.
-     *
-     * To be implemented by subclasses.
+     * based on the parameters found in the given input: parses the input,
+     * and if it is valid, invokes the run method of the subclass.
+     * If the input is a help request, the help is given instead, and if it
+     * names a subcommand, the subcommand executes it.
+     * When the command must be confirmed, the result is a Question instead, and
+     * run is only invoked once the user answers it. See the confirm attribute.
+     * The execution is recorded in the historyStore of the context once it ends,
+     * see the executionHistory module.
      *
-     * @param {string} inputCommand - Optional. If given, implies a a parse
-     *        of the given commandString. If not, the method must either check
-     *        for itself if the model has been modified by a previous parse
-     *        or launch parse itself if needed.
+     * @param {string} inputCommand - the input, starting with the command name.
+     * @param {object} options - Optional. The attributes of the context of the execution,
+     *        such as the user, room, robot and message. See InvocationContext.
      * @returns {Promise} A promise with the result of the execution.
      * @throws {ParseError} When one of the parameters are not valid, or the command itself
      *                      cannot be parsed by this object.
      * @throws {ValidationError} When the command doesn't pass the semantic validation.
+     * @throws {PermissionError} When the user is not allowed to use the command or one
+     *                           of the given parameters.
+     * @throws {RateLimitError} When the user has run the command too often.
      */
-    execute(inputCommand){
+    execute(inputCommand,options){
         var result = null;
-        if(isHelpCommand(inputCommand)){
-            result = this._help(inputCommand);
+        var context = this.createContext(inputCommand,options);
+        var subcommand = this.willParseCommand(inputCommand) ? this._findSubcommand(inputCommand) : null;
+        if(subcommand !== null){
+            //The subcommand takes care of the rest of the input, help included
+            result = subcommand.execute(this._stripName(inputCommand).trim(),options);
+        } else if(isHelpCommand(this,inputCommand)){
+            result = this._help(inputCommand,context);
         } else {
-            //first parse the command
-            result = this._parse(inputCommand)
-                .then(()=>{
-                    return this.run();
-                })
+            //first check that the user may use the command, then parse it
+            //and check that the user may use the given parameters.
+            result = this._recordHistory(context,this._runHook('beforeParse',context)
+                .then((hookResult)=>{
+                    if(typeof hookResult !== 'undefined'){
+                        return hookResult;
+                    }
+                    return this.checkAuthorized(context)
+                        .then(()=>{
+                            return this._parseArguments(context.input,context);
+                        })
+                        .then(()=>{
+                            return this._complete(context);
+                        });
+                }))
+                .catch((error)=>{
+                    return this._handleError(context,error);
+                });
         }
 
         return result;
     }
 
+    /**
+     * Goes on with an execution once the input has been parsed: checks the missing
+     * parameters, validates the model, checks that the user may use the given
+     * parameters, and runs the command, unless it must be confirmed.
+     * When required parameters are missing and the command prompts for them, the
+     * first of them is asked for instead.
+     * @param {InvocationContext} context - the context of the execution, with the
+     *        arguments already parsed.
+     * @private
+     * @returns {Promise} - with the result of the execution.
+     */
+    _complete(context){
+        let missingParameters = this._missingParameters(context);
+        if(missingParameters.length > 0 && this.promptMissing && context.conversations){
+            return Promise.resolve(this._askForParameter(context,missingParameters[0]));
+        }
+
+        return Promise.try(()=>{
+                this._checkMissingParameters(context);
+                return this._validateModel(context);
+            })
+            .then(()=>{
+                return this._checkParametersAuthorized(context);
+            })
+            .then(()=>{
+                return this._runHook('afterParse',context);
+            })
+            .then((hookResult)=>{
+                if(typeof hookResult !== 'undefined'){
+                    return hookResult;
+                }
+                return this._needsConfirmation(context)
+                    .then((needsConfirmation)=>{
+                        return needsConfirmation ? this._askConfirmation(context) : this._run(context);
+                    });
+            });
+    }
+
+    /**
+     * Starts a conversation with the user to ask for the value of a missing
+     * parameter. The next input of the user in the same room is parsed by the
+     * parameter, unless it is "cancel", and the execution goes on from there,
+     * asking for the next missing parameter if any. When the parameter cannot
+     * parse the answer, the question is asked again.
+     * @param {InvocationContext} context - the context of the execution.
+     * @param {Parameter} parameter - the missing parameter.
+     * @param {ParseError} error - Optional. Why the previous answer was not valid.
+     * @private
+     * @returns {Question} - the question to ask to the user.
+     */
+    _askForParameter(context,parameter,error){
+        context.conversations.start(context,{
+            answer: (text) => {
+                let value = text.trim();
+                if(value.toLowerCase() === 'cancel'){
+                    return executionHistory.record(context,'cancelled')
+                        .then(() => 'The command '+this.fullName()+' was cancelled');
+                }
+
+                return this._recordHistory(context,Promise.try(()=>{
+                        this.model = context.model;
+                        return parseValue(parameter,value,context);
+                    })
+                    .then(()=>{
+                        context.givenParameters.add(parameter);
+                    })
+                    .then(()=>{
+                        return this._complete(context);
+                    },(parseError)=>{
+                        if(!(parseError instanceof ParseError)){
+                            throw parseError;
+                        }
+                        return this._askForParameter(context,parameter,parseError);
+                    }))
+                    .catch((error)=>{
+                        return this._handleError(context,error);
+                    });
+            },
+            expire: () => executionHistory.record(context,'expired')
+        });
+
+        let text = parameter.promptText();
+        return new Question(error ? error.message+'\n'+text : text);
+    }
+
+    /**
+     * Invokes the run method with an already parsed context, once the rate limits
+     * have been checked, along with the beforeRun and afterRun hooks of the middlewares.
+     * @param {InvocationContext} context - the context of the execution.
+     * @private
+     * @returns {Promise} - with the result of run, as transformed by the middlewares.
+     * @throws {RateLimitError} - When the user has run the command too often.
+     * @throws {TimeoutError} - When the run method takes longer than the timeout.
+     * @throws {CancellationError} - When the execution is cancelled while running.
+     */
+    _run(context){
+        return rateLimiting.checkRateLimits(this,context)
+            .then(()=>{
+                return this._runHook('beforeRun',context);
+            })
+            .then((hookResult)=>{
+                if(typeof hookResult !== 'undefined'){
+                    return hookResult;
+                }
+                return this._supervise(context)
+                    .then((result)=>{
+                        return this._middlewares(context).reduce((previous,middleware)=>{
+                            if(typeof middleware.afterRun !== 'function'){
+                                return previous;
+                            }
+                            return previous.then((currentResult)=>{
+                                return Promise.resolve(middleware.afterRun(context,currentResult))
+                                    .then((newResult) => typeof newResult === 'undefined' ? currentResult : newResult);
+                            });
+                        },Promise.resolve(result));
+                    });
+            });
+    }
+
+    /**
+     * Invokes the run method, which is stopped when it takes longer than the
+     * timeout or when the execution is cancelled. The execution is kept in the
+     * runningExecutions of the context, if any, while it runs.
+     * @param {InvocationContext} context - the context of the execution.
+     * @private
+     * @returns {Promise} - with the result of run.
+     * @throws {TimeoutError} - When the run method takes longer than the timeout.
+     * @throws {CancellationError} - When the execution is cancelled while running.
+     */
+    _supervise(context){
+        let runningExecutions = context.runningExecutions;
+        let timer = null;
+        if(runningExecutions){
+            runningExecutions.add(context);
+        }
+
+        return new Promise((resolve,reject)=>{
+            context.cancellation.onCancel((reason)=>{
+                reject(new CancellationError('The command '+this.fullName()+' was cancelled: '+reason));
+            });
+            if(this.timeout !== null){
+                timer = setTimeout(()=>{
+                    let error = new TimeoutError('The command '+this.fullName()+' did not finish within '
+                        +(this.timeout/1000)+' seconds',this.timeout);
+                    reject(error);
+                    context.cancellation.cancel(error.message);
+                },this.timeout);
+            }
+
+            this.model = context.model;
+            Promise.try(()=>{
+                return this.run(context);
+            }).then(resolve,reject);
+        }).finally(()=>{
+            clearTimeout(timer);
+            if(runningExecutions){
+                runningExecutions.remove(context);
+            }
+        });
+    }
+
+    /**
+     * Gives the middlewares of an execution: the ones of the context, then
+     * the ones of the parent commands and of this command.
+     * @param {InvocationContext} context - the context of the execution.
+     * @private
+     * @returns {Array}
+     */
+    _middlewares(context){
+        let middlewares = [];
+        for(let command = this; command !== null; command = command.parent){
+            middlewares = command.middlewares.concat(middlewares);
+        }
+
+        return (context.middlewares || []).concat(middlewares);
+    }
+
+    /**
+     * Invokes a hook of the middlewares, one after the other, until one of
+     * them gives a result.
+     * @param {string} hook - the name of the hook, such as beforeParse.
+     * @param {InvocationContext} context - the context of the execution.
+     * @private
+     * @returns {Promise} - with the first result other than undefined, if any.
+     */
+    _runHook(hook,context){
+        return this._middlewares(context).reduce((previous,middleware)=>{
+            if(typeof middleware[hook] !== 'function'){
+                return previous;
+            }
+            return previous.then((result)=>{
+                return typeof result === 'undefined' ? middleware[hook](context) : result;
+            });
+        },Promise.resolve());
+    }
+
+    /**
+     * Gives a failed execution to the onError hooks of the middlewares, one after
+     * the other, until one of them recovers from the error.
+     * @param {InvocationContext} context - the context of the execution.
+     * @param {Error} error - why the execution failed.
+     * @private
+     * @returns {Promise} - with the result given by the middleware that recovered.
+     * @throws {Error} - the error, when no middleware recovers from it.
+     */
+    _handleError(context,error){
+        return this._middlewares(context).reduce((previous,middleware)=>{
+            if(typeof middleware.onError !== 'function'){
+                return previous;
+            }
+            return previous.then((result)=>{
+                return typeof result === 'undefined' ? middleware.onError(context,error) : result;
+            });
+        },Promise.resolve())
+            .then((result)=>{
+                if(typeof result === 'undefined'){
+                    throw error;
+                }
+                return result;
+            });
+    }
+
+    /**
+     * Decides whether the user must confirm the execution, as told by the
+     * confirm attribute, which may be a predicate that receives the model and the
+     * context, and returns a boolean or a promise of it.
+     * @param {InvocationContext} context - the context of the execution, already parsed.
+     * @private
+     * @returns {Promise} - with true if the execution must be confirmed.
+     */
+    _needsConfirmation(context){
+        let confirm = typeof this.confirm === 'function' ? this.confirm(context.model,context) : this.confirm;
+        return Promise.resolve(confirm).then(Boolean);
+    }
+
+    /**
+     * Starts a conversation with the user to confirm the execution. The next
+     * input of the user in the same room answers it: an affirmative answer runs
+     * the command, a negative one cancels it, and any other input is not taken
+     * as an answer, which cancels it too. Each of those ends, expiration included,
+     * is recorded in the history.
+     * @param {InvocationContext} context - the context of the execution, already parsed.
+     * @private
+     * @returns {Question} - the question to ask to the user.
+     * @throws {Error} - When the context has no conversation store.
+     */
+    _askConfirmation(context){
+        let conversations = context.conversations;
+        if(!conversations){
+            throw new Error('The command '+this.fullName()+' must be confirmed, but the execution has no conversations store');
+        }
+
+        conversations.start(context,{
+            answer: (text) => {
+                let confirmed = parseConfirmation(text);
+                if(confirmed === null){
+                    //The input is executed on it's own, the history does not make it wait
+                    executionHistory.record(context,'cancelled');
+                    return null;
+                }
+
+                if(!confirmed){
+                    return executionHistory.record(context,'cancelled')
+                        .then(() => 'The command '+this.fullName()+' was cancelled');
+                }
+                return this._recordHistory(context,Promise.try(() => this._run(context)))
+                    .catch((error) => this._handleError(context,error));
+            },
+            expire: () => executionHistory.record(context,'expired')
+        });
+
+        return new Question(this.confirmationQuestion);
+    }
+
+    /**
+     * Records the end of an execution in the history once the given promise settles,
+     * unless it asks the user a question, in which case the execution goes on once
+     * the user answers it. See the executionHistory module.
+     * @param {InvocationContext} context - the context of the execution.
+     * @param {Promise} promise - the promise of the result of the execution.
+     * @private
+     * @returns {Promise} - with the same result or error as the given promise.
+     */
+    _recordHistory(context,promise){
+        return promise.then((result)=>{
+            if(result instanceof Question){
+                return result;
+            }
+            return executionHistory.record(context,'success').then(() => result);
+        },(error)=>{
+            return executionHistory.record(context,'error',error).then(()=>{
+                throw error;
+            });
+        });
+    }
+
+    /**
+     * Checks that the user of the execution may use the command, and the commands
+     * it is a subcommand of. See the roles attribute and the authorize method.
+     * Invoked by execute before parsing the input, and useful to know beforehand
+     * whether an execution will be allowed, as the Scheduler does.
+     * @param {InvocationContext} context - the context of the execution.
+     * @returns {Promise} - with no result.
+     * @throws {PermissionError} - When the user is not allowed.
+     */
+    checkAuthorized(context){
+        let commands = [];
+        for(let command = this; command !== null; command = command.parent){
+            commands.unshift(command);
+        }
+
+        return Promise.each(commands,(command) => {
+            return authorization.checkAuthorized(command,context,'You are not allowed to use the command '+command.fullName());
+        });
+    }
+
+    /**
+     * Checks that the user of the execution may use the parameters given in the input.
+     * @param {InvocationContext} context - the context of the execution, already parsed.
+     * @private
+     * @returns {Promise} - with no result.
+     * @throws {PermissionError} - When the user is not allowed to use one of the parameters.
+     */
+    _checkParametersAuthorized(context){
+        return Promise.each(Array.from(context.givenParameters),(parameter) => {
+            return authorization.checkAuthorized(parameter,context,
+                'You are not allowed to use the parameter '+parameter.name+' of the command '+this.fullName());
+        });
+    }
+
+    /**
+     * Decides whether the user of an execution may use the command, in addition to
+     * the roles attribute, which is checked before. Invoked before parsing the input.
+     * May be implemented by the subclasses. By default returns true.
+     * @param {InvocationContext} context - the context of the execution, not yet parsed.
+     * @param {Array} roles - the roles of the user.
+     * @returns {boolean|Promise} - true, or a promise of true, if the user is allowed.
+     */
+    authorize(){return true;}
+
     /**
      * Performs the help action. Looks if it has to provide help
      * about one of the parameters or if it has to provide help
      * about the command itself.
      * For the command, the help action returns whatever the subcommand's help
-     * method provides plus a list of the parameters and their quick explanation.
+     * method provides, the usage line of the command, a list of the parameters
+     * and their quick explanation, the list of the command's own subcommands,
+     * if any, and the examples. Asking for help about a subcommand by name gives
+     * it's help attribute.
+     * The help is rendered in the format given by the context, or by the helpFormat
+     * attribute, see the help module for the available ones.
      * @param {string} - inputCommand
+     * @param {InvocationContext} context - Optional. The context of the execution.
      * @private
-     * @returns {promise} - a promise with a string result of the help to display.
+     * @returns {promise} - a promise with the result of the help to display, a
+     *          string for the text and markdown formats.
      */
-    _help(inputCommand){
-        var parameterName = inputCommand.replace(this.name,"")
-                .replace("help","")
-                .trim();
-        var parameterMode = parameterName !== "";
+    _help(inputCommand,context){
+        var helpFormat = (context && context.helpFormat) || this.helpFormat;
         return new Promise((resolve)=>{
+            let parameterName = tokenize(this._stripName(inputCommand))
+                .slice(1)
+                .map((token) => token.value)
+                .join(" ");
+            let parameterMode = parameterName !== "";
             let result = "";
             if(parameterMode){
                 let parameter = this.getParameter(parameterName);
-                if(parameter === null) {
-                    throw new ParseError("The given parameter ("+parameterName+") does not exist for this command.");
+                let subcommand = this.getSubcommand(parameterName);
+                if(parameter !== null) {
+                    result = help.renderParameter(parameter.describe(),helpFormat);
+                } else if(subcommand !== null) {
+                    result = help.renderSubcommand(subcommand.describe(),helpFormat);
                 } else {
-                    result += parameter.name + ":\n\t" + parameter.help.detail;
+                    let names = Object.keys(this.subcommands)
+                        .reduce((names,key) => names.concat(key,this.subcommands[key].aliases),namedParameters(this));
+                    let suggestedNames = suggestions.suggest(parameterName,names);
+                    throw new ParseError("The given parameter ("+parameterName+") does not exist for this command."
+                        +suggestions.didYouMean(suggestedNames),{suggestions: suggestedNames});
                 }
             } else {
-                //Just get the commands general help and then add each parameter name
-                result = this.help;
-                result += "\n\nParameters:\n"
-                for(let key in this.parameters){
-                    let parameter = this.parameters[key];
-                    result += "\t- "+parameter.name+": "+parameter.help.header+"\n";
-                }
+                result = help.renderCommand(this.describe(),helpFormat);
             }
 
             resolve(result);
         });
     }
 
+    /**
+     * Describes the command for the help renderers.
+     * @returns {object} - with the name (the full one), aliases, description, usage,
+     *          parameters (as given by Parameter.describe), subcommands (with
+     *          their name and description) and examples attributes.
+     */
+    describe(){
+        return {
+            name: this.fullName(),
+            aliases: this.aliases.slice(),
+            description: this.help,
+            usage: this.usage(),
+            parameters: Object.keys(this.parameters).map((key) => this.parameters[key].describe()),
+            subcommands: Object.keys(this.subcommands).map((key) => {
+                return {name: key, description: this.subcommands[key].help};
+            }),
+            examples: this.examples.slice()
+        };
+    }
+
+    /**
+     * Generates the usage line of the command, which shows how to write it:
+     *     test from <date> to <date> [limit <integer>=10] [complex...]
+     * Optional parameters are enclosed in brackets, and followed by their default
+     * value if they have one, and multiple ones are followed by an ellipsis.
+     * @returns {string}
+     */
+    usage(){
+        let subcommandNames = Object.keys(this.subcommands);
+        if(subcommandNames.length > 0 && this.run === Command.prototype.run){
+            return this.fullName()+' <'+subcommandNames.join('|')+'> ...';
+        }
+
+        let parameters = [];
+        for(let key in this.parameters){
+            parameters.push(this.parameters[key]);
+        }
+        let sortOrder = (parameter) => parameter.positional ? 0 : (parameter.wholeCommandString ? 2 : 1);
+        parameters.sort((first,second) => sortOrder(first) - sortOrder(second));
+
+        let parts = [this.fullName()];
+        for(let parameter of parameters){
+            parts.push(describeParameterUsage(this,parameter));
+        }
+
+        return parts.join(' ');
+    }
+
     /**
      * This is the method that must be implemented by Command subclasses. By the time
      * it is invoked, the command will have been parsed and the model ready to use
-     * under the 'model' attribute of the instance.
+     * under the 'model' attribute of the given context.
      * If the command was invoked with a help action, it won't get executed, and instead
      * will just fetch the information from the command and it's parameters help.
      *
      * May return any type of object, including a promise (if it is a promise, it must be
      * of the bluebird library for composability).
+     * @param {InvocationContext} context - the context of the execution.
      * @returns {object} - a promise of the result if any.
      */
     run(){
@@ -274,10 +1082,19 @@ class Command {
     /**
      * Validates the model of the command.
      * The model may have been modified by the parsing of
-     * the parameters, so it is called after parsing the command.
+     * the parameters, so it is called after parsing the command,
+     * and after each parameter has validated it's own value.
      * May be implemented by the subclasses.
      * By default returns true.
-     * @returns {boolean} - true if the model of the command is valid.
+     * Instead of a boolean, it can return the list of the reasons why the model
+     * is not valid, an empty list meaning that it is valid. Each reason has the
+     * following structure:
+     *     {parameter:"parameterName",message:"why it is not valid",value:offendingValue}
+     * where the value may be omitted to take the one of the parameter in the model.
+     * It may also return a promise of any of them, whose rejection becomes a ValidationError.
+     * @param {InvocationContext} context - the context of the execution, which holds the model.
+     * @returns {boolean|Array|Promise} - true if the model of the command is valid, or the
+     *          list of reasons why it isn't.
      */
     validate(){return true;}
 
@@ -287,8 +1104,9 @@ class Command {
      * input, we should use this function.
      * Filters out whether the given input is a potential command
      * to be parsed by this object.
-     * To determine so, it just compares the beginning of the
-     * input to check if it matches to the command name.
+     * To determine so, it just compares the first word(s) of the
+     * input to check if they match the command name, so that a command
+     * named "test" will not parse an input such as "testing from 2015".
      * The use case of this method is when you have multiple commands
      * and a dynamic dispatcher that must select to which object
      * to send it, or to provide a quick discard way of observers.
@@ -298,20 +1116,431 @@ class Command {
      * @returns {boolean} - true if it is a valid command for this object.
      */
     willParseCommand(commandString){
-        return commandString.substring(0,this.name.length) === this.name;
+        return this.matchName(commandString) !== null;
+    }
+
+    /**
+     * Finds the name or alias of the command that the given input starts
+     * with, as a whole word. When many of them match, such as "deploy" and
+     * "deploy app", the longest one is given.
+     * @param {string} commandString - the command string to analyze
+     * @returns {string} - the matching name or alias, or null if there is none.
+     */
+    matchName(commandString){
+        if(typeof commandString !== 'string'){
+            return null;
+        }
+
+        let bestMatch = null;
+        for(let name of [this.name].concat(this.aliases)){
+            let writtenName = commandString.substring(0,name.length);
+            let nextCharacter = commandString.charAt(name.length);
+            if(this._matchesName(writtenName,[name]) && (nextCharacter === '' || /\s/.test(nextCharacter))
+                && (bestMatch === null || name.length > bestMatch.length)){
+                bestMatch = name;
+            }
+        }
+
+        return bestMatch;
+    }
+
+    /**
+     * Removes the name or alias of the command from the beginning of the input.
+     * @param {string} commandString - the input, starting with the name of the command.
+     * @private
+     * @returns {string} - the rest of the input, not trimmed.
+     */
+    _stripName(commandString){
+        let matchedName = this.matchName(commandString);
+        return matchedName === null ? commandString : commandString.substring(matchedName.length);
     }
 
 }
 
+/**
+ * The default syntax, where each parameter is given by writing it's name followed by
+ * it's value, which spans until the name of the next parameter:
+ *     test from 2015-12-01 to 2015-12-02
+ */
+Command.SYNTAX_KEYWORD = 'keyword';
+/**
+ * The GNU like syntax, where each parameter is given as --name=value, --name value,
+ * or by it's short name as -n value. Parameters that are flags take no value:
+ *     deploy myapp production --force --tag=v1.2 -r 3
+ */
+Command.SYNTAX_FLAGS = 'flags';
+
 module.exports = Command;
 
 /**
  * Checks whether the command is of type help.
- * A help command has the form <commandName> help [<parameterName>].
+ * A help command has the form <commandName> help [<parameterName>], so
+ * the word help anywhere else in the input doesn't make it a help command.
+ * The input is split by the tokenizer, so that the name of the parameter may
+ * have many words or be quoted, and that a quoted "help" stays a value.
  *
- * @param inputCommand
+ * @param {Command} command - the command that receives the input.
+ * @param {string} inputCommand
  * @returns {boolean} - true if it is
  */
-function isHelpCommand(inputCommand){
-    return inputCommand.match(/help/);
+function isHelpCommand(command,inputCommand){
+    if(!command.willParseCommand(inputCommand)){
+        return false;
+    }
+    let input = command._stripName(inputCommand).trim();
+    try {
+        let tokens = tokenize(input);
+        return tokens.length > 0 && tokens[0].value === 'help' && !tokens[0].literal;
+    } catch(error){
+        //The help method rejects with the error of the tokenizer
+        return /^help(\s|$)/.test(input);
+    }
+}
+
+/**
+ * Gives a value to a parameter, waiting for it's parse method if it returns a
+ * promise. The rejections that are not ParseErrors nor ValidationErrors, such as
+ * the failure of a backend, become ParseErrors with the original error as their
+ * cause.
+ *
+ * @param {Parameter} parameter
+ * @param {string} value - the value as written by the user.
+ * @param {InvocationContext} context - the context of the execution.
+ * @returns {Promise} - with no result.
+ */
+function parseValue(parameter,value,context){
+    // Other executions may have run in between, see the model attribute
+    context.command.model = context.model;
+    return Promise.resolve(parameter.parse(value,context))
+        .catch((error) => {
+            if(error instanceof ParseError || error instanceof ValidationError){
+                throw error;
+            }
+            throw new ParseError('the "'+parameter.name+'" parameter could not be parsed: '+errorMessage(error),{cause: error});
+        })
+        .then(() => {
+            return;
+        });
+}
+
+/**
+ * Validates the value of a parameter, waiting for it's validate method if it
+ * returns a promise. A rejection is taken as the reason why the value is not valid.
+ *
+ * @param {Parameter} parameter
+ * @param {*} value - the value of the parameter in the model.
+ * @param {InvocationContext} context - the context of the execution.
+ * @returns {Promise} - with null if the value is valid, or the reason why it is not,
+ *          as {parameter, message, value}.
+ */
+function validateValue(parameter,value,context){
+    context.command.model = context.model;
+    return Promise.resolve(parameter.validate(value,context))
+        .catch((error) => errorMessage(error))
+        .then((validationResult) => {
+            if(validationResult === true || typeof validationResult === 'undefined'){
+                return null;
+            }
+            return {
+                parameter: parameter.name,
+                message: typeof validationResult === 'string' ? validationResult : 'the value is not valid',
+                value: value
+            };
+        });
+}
+
+/**
+ * The message of an error, which may be any value when it comes from a rejected promise.
+ *
+ * @param {*} error
+ * @returns {string}
+ */
+function errorMessage(error){
+    return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * The text of a result piped to a command, see Parameter.pipe.
+ *
+ * @param {*} result - the result of the previous command of the chain.
+ * @returns {string}
+ */
+function pipedText(result){
+    if(typeof result === 'string'){
+        return result;
+    }
+    if(Array.isArray(result)){
+        return result.map(pipedText).join('\n');
+    }
+    if(result === null || typeof result === 'undefined'){
+        return '';
+    }
+
+    return typeof result === 'object' ? JSON.stringify(result) : String(result);
+}
+
+/**
+ * Tells whether the answer to a confirmation is affirmative or negative.
+ *
+ * @param {string} text - the answer of the user.
+ * @returns {boolean} - true or false, or null if the text is not an answer.
+ */
+function parseConfirmation(text){
+    let answer = text.trim().toLowerCase();
+    if(AFFIRMATIVE_ANSWERS.indexOf(answer) !== -1){
+        return true;
+    }
+    if(NEGATIVE_ANSWERS.indexOf(answer) !== -1){
+        return false;
+    }
+
+    return null;
+}
+
+const AFFIRMATIVE_ANSWERS = ['yes','y','yep','yeah','sure','ok','confirm'];
+const NEGATIVE_ANSWERS = ['no','n','nope','cancel'];
+
+/**
+ * Describes how to write a parameter in the usage line of a command.
+ *
+ * @param {Command} command - the command of the parameter.
+ * @param {Parameter} parameter
+ * @returns {string} - such as "from <date>" or "[--force]".
+ */
+function describeParameterUsage(command,parameter){
+    if(parameter.wholeCommandString){
+        return '['+parameter.name+'...]';
+    }
+
+    let usage;
+    let prefix = command.syntax === Command.SYNTAX_FLAGS ? '--' : '';
+    if(parameter.positional){
+        usage = '<'+parameter.name+'>';
+    } else if(parameter.flag){
+        usage = prefix+parameter.name;
+    } else {
+        usage = prefix+parameter.name+' '+parameter.valueDescription();
+    }
+    if(parameter.multiple){
+        usage += '...';
+    }
+
+    let defaultValue = parameter.describe().default;
+    if(defaultValue !== null && !parameter.flag){
+        usage += '='+defaultValue;
+    }
+
+    return parameter.required ? usage : '['+usage+']';
+}
+
+/**
+ * Turns the reasons returned by the validate method of a command into
+ * a list of validation errors, filling the values of the parameters.
+ *
+ * @param {boolean|Array} validationResult - what the validate method returned.
+ * @param {object} model - the model of the command, to find the offending values.
+ * @returns {Array} - the validation errors, empty if the model is valid.
+ */
+function normalizeValidationErrors(validationResult,model){
+    if(!Array.isArray(validationResult)){
+        return [];
+    }
+
+    return validationResult.map((validationError) => {
+        let parameterName = validationError.parameter || null;
+        return {
+            parameter: parameterName,
+            message: validationError.message,
+            value: 'value' in validationError || parameterName === null ? validationError.value : model[parameterName]
+        };
+    });
+}
+
+/**
+ * Creates the ValidationError that describes the given errors.
+ *
+ * @param {Array} validationErrors - the validation errors, not empty.
+ * @returns {ValidationError}
+ */
+function createValidationError(validationErrors){
+    let reasons = validationErrors.map((validationError) => {
+        return validationError.parameter === null
+            ? validationError.message
+            : validationError.parameter+': '+validationError.message;
+    });
+
+    return new ValidationError("The arguments passed to the command are not valid: "+reasons.join('; '),validationErrors);
+}
+
+/**
+ * Finds the values of the parameters in the tokens of an input written in the
+ * keyword syntax.
+ * We know that each parameter will be separated by another by the parameter names
+ * themselves. Parameters names are one word only to simplify distinction, and quoted
+ * or escaped words are never taken as parameter names, so that values can contain them.
+ * The words found before the first parameter name are the values of the positional
+ * parameters.
+ *
+ * @param {Command} command - the command whose parameters are looked for.
+ * @param {Array} tokens - the tokens of the input, without the command name.
+ * @returns {Array} - the assignments, as objects with the parameter and it's text value.
+ * @throws {ParseError} - when there are more positional values than positional parameters.
+ */
+function assignKeywordValues(command,tokens){
+    let assignments = [];
+    let parameterValueBuffer = [];
+    let previousParameter = null;
+    for(let currentToken of tokens){
+        let potentialParameter = currentToken.literal ? null : command.getParameter(currentToken.value);
+        if(potentialParameter !== null && potentialParameter.wholeCommandString){
+            potentialParameter = null; //We don't want to process whole command parameters
+        }
+        if(potentialParameter !== null){
+            // If we've found a new parameter, then we give the previous parameter
+            // the current parameterValueBuffer and start recollecting the value
+            // for the next one.
+            if(previousParameter !== null){
+                assignments.push({parameter: previousParameter, value: parameterValueBuffer.join(" ")});
+            } else {
+                assignments = assignPositionalValues(command,parameterValueBuffer);
+            }
+            previousParameter = potentialParameter;
+            parameterValueBuffer = [];
+        } else {
+            //If this word isn't a new parameter, then we add the current word to
+            //the value buffer that will be passed to the current parameter
+            parameterValueBuffer.push(currentToken.value);
+        }
+    }
+    // Upon reaching the end of the tokens, we can be in one of the following states:
+    // - There is a previousParameter, which is the last one and must now be given the
+    // parameterValueBuffer, even if it is empty.
+    // - There is no previousParameter, which means that the whole input was made of
+    // positional values.
+    if(previousParameter !== null){
+        assignments.push({parameter: previousParameter, value: parameterValueBuffer.join(" ")});
+    } else {
+        assignments = assignPositionalValues(command,parameterValueBuffer);
+    }
+
+    return assignments;
+}
+
+/**
+ * Finds the values of the parameters in the tokens of an input written in the
+ * flags syntax. Parameters are given as --name=value, --name value, -n value, or
+ * just --name and -n for flags, and several flags can be grouped as in -abc.
+ * Every other token is the value of a positional parameter. The token "--" ends
+ * the parameters, and every token after it is a positional value.
+ *
+ * @param {Command} command - the command whose parameters are looked for.
+ * @param {Array} tokens - the tokens of the input, without the command name.
+ * @returns {Array} - the assignments, as objects with the parameter and it's text value.
+ * @throws {ParseError} - when a parameter doesn't exist, misses it's value, or there are
+ *                        more positional values than positional parameters.
+ */
+function assignFlagValues(command,tokens){
+    let assignments = [];
+    let positionalValues = [];
+    let onlyPositionalValues = false;
+    let takeValue = (parameter,written,index) => {
+        if(parameter.flag){
+            return '';
+        }
+        if(index+1 >= tokens.length){
+            throw new ParseError('The parameter '+written+' needs a value');
+        }
+        return tokens[index+1].value;
+    };
+
+    for(let i = 0; i < tokens.length; i++){
+        let token = tokens[i];
+        if(onlyPositionalValues || token.literal || !/^-[^\d\.]/.test(token.value)){
+            positionalValues.push(token.value);
+        } else if(token.value === '--'){
+            onlyPositionalValues = true;
+        } else if(token.value.startsWith('--')){
+            let separatorIndex = token.value.indexOf('=');
+            let parameterName = token.value.substring(2,separatorIndex === -1 ? undefined : separatorIndex);
+            let parameter = command.getParameter(parameterName);
+            if(parameter === null || parameter.wholeCommandString){
+                let suggestedNames = suggestions.suggest(parameterName,namedParameters(command))
+                    .map((name) => '--'+name);
+                throw new ParseError('The parameter --'+parameterName+' does not exist for this command.'
+                    +suggestions.didYouMean(suggestedNames),{suggestions: suggestedNames});
+            }
+            let value;
+            if(separatorIndex !== -1){
+                value = token.value.substring(separatorIndex+1);
+            } else {
+                value = takeValue(parameter,'--'+parameterName,i);
+                if(!parameter.flag){
+                    i++;
+                }
+            }
+            assignments.push({parameter: parameter, value: value});
+        } else {
+            let shortNames = token.value.substring(1).split('');
+            for(let shortName of shortNames){
+                let parameter = command.getParameterByShortName(shortName);
+                if(parameter === null){
+                    throw new ParseError('The parameter -'+shortName+' does not exist for this command.');
+                }
+                if(shortNames.length > 1 && !parameter.flag){
+                    throw new ParseError('The parameter -'+shortName+' needs a value and cannot be grouped with others');
+                }
+                let value = takeValue(parameter,'-'+shortName,i);
+                if(!parameter.flag){
+                    i++;
+                }
+                assignments.push({parameter: parameter, value: value});
+            }
+        }
+    }
+
+    return assignPositionalValues(command,positionalValues).concat(assignments);
+}
+
+/**
+ * Gives the positional values to the positional parameters of the command, in order.
+ * If the last positional parameter is multiple, it takes all the remaining values.
+ *
+ * @param {Command} command - the command whose positional parameters are given the values.
+ * @param {Array} values - the positional values, as strings.
+ * @returns {Array} - the assignments, as objects with the parameter and it's text value.
+ * @throws {ParseError} - when there are more values than positional parameters.
+ */
+function assignPositionalValues(command,values){
+    let assignments = [];
+    let positionalParameters = command.positionalParameters;
+    for(let i = 0; i < values.length; i++){
+        let parameter = positionalParameters[Math.min(i,positionalParameters.length-1)];
+        if(i >= positionalParameters.length && !(parameter && parameter.multiple)){
+            let suggestedNames = suggestions.suggest(values[i],namedParameters(command));
+            throw new ParseError('The value ('+values[i]+') does not belong to any parameter of the command '+command.name
+                +suggestions.didYouMean(suggestedNames),{suggestions: suggestedNames});
+        }
+        assignments.push({parameter: parameter, value: values[i]});
+    }
+
+    return assignments;
+}
+
+/**
+ * Gives the names and aliases of the parameters that can be written in the input
+ * of a command, which are all but the ones that receive the whole input.
+ *
+ * @param {Command} command
+ * @returns {Array}
+ */
+function namedParameters(command){
+    let names = [];
+    for(let key in command.parameters){
+        let parameter = command.parameters[key];
+        if(!parameter.wholeCommandString){
+            names.push(key,...(parameter.aliases || []));
+        }
+    }
+
+    return names;
 }
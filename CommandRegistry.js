@@ -1,101 +1,145 @@
 "use strict";
 
-var Redis = require('ioredis');
+var Promise = require('bluebird');
+var MemoryStorage = require('./storage/MemoryStorage');
 
 /**
  * Handles all the Command registry operations.
  * Maintains a registry of commands to allow them to
  * be discoverable.
  *
- * This class provides only static methods since no state 
- * is maintained whatsoever on the class itself.
+ * The registry doesn't hold the commands themselves, but a description
+ * of them with the following structure:
+ *     { name:"commandName",aliases:["alias"],description:"description",category:"category" }
+ * where the category is null for the commands that don't declare one.
  *
- * Uses redis to maintain data. By it's very nature, the data
- * is not persisted, which means that for each time the application
+ * The data is kept in a storage backend, which can be any of the ones
+ * provided in the storage folder (MemoryStorage, RedisStorage, BrainStorage)
+ * or any other object that implements the same interface. By default the
+ * data is kept in memory, which means that for each time the application
  * is launched, it should ensure the data is there.
- *
+ * example:
+ *     var registry = new CommandRegistry(new BrainStorage(robot));
+ *     registry.add(new TestCommand())
+ *         .then(function(){
+ *             return registry.list();
+ *         })
+ *         .then(function(commands){
+ *             chat.send(commands.map((command) => command.name).join(', '));
+ *         });
  */
 class CommandRegistry {
-	
-	/**
-	 * Adds a command to the registry.
-	 * If the command already exists, then it is not updated.
-	 * @param command {Command} the command itself
-	 * @return {Promise} for when the operation is done.
-	 */
-	static addCommand(command){
-		let redis = new Redis();
-		let keyName = composeCommandKey(command);
-		return 
-			redis.hgetall(keyName)
-				.then(function(result){
-					if(result === null){ // The key is not yet created.
-						let hash = {
-							name: command.name,
-							description: command.help
-						};
-						return redis.hset(keyName,hash);
-					}	
-				})
-				.then(function(result){
-					//We do not want to expose the redis result
-					return;	
-				});	
-	}
+    /**
+     * @param {object} storage - Optional. The storage backend of the registry.
+     */
+    constructor(storage){
+        this.storage = storage || new MemoryStorage();
+    }
+
+    /**
+     * Adds a command to the registry.
+     * If the command already exists, then it is not updated.
+     * @param {Command} command - the command itself
+     * @return {Promise} with true if the command was added.
+     */
+    add(command){
+        let keyName = composeCommandKey(command.name);
+        return this.storage.get(keyName)
+            .then((existing) => {
+                if(existing !== null){
+                    return false;
+                }
+                return this.storage.set(keyName,describeCommand(command))
+                    .then(() => true);
+            });
+    }
+
+    /**
+     * Updates the description of a command held in the registry.
+     * If the command doesn't exist, then it is not added.
+     * @param {Command} command - the command itself
+     * @return {Promise} with true if the command was updated.
+     */
+    update(command){
+        let keyName = composeCommandKey(command.name);
+        return this.storage.get(keyName)
+            .then((existing) => {
+                if(existing === null){
+                    return false;
+                }
+                return this.storage.set(keyName,describeCommand(command))
+                    .then(() => true);
+            });
+    }
+
+    /**
+     * Removes a command from the registry.
+     * @param {string} commandName - the name of the command to remove.
+     * @return {Promise} with true if the command existed.
+     */
+    remove(commandName){
+        return this.storage.remove(composeCommandKey(commandName));
+    }
+
+    /**
+     * Returns a command as held in the registry if it exists.
+     * @param {string} commandName - the name of the command.
+     * @return {Promise} with the description of the command, or null
+     *         if the command doesn't exist.
+     */
+    get(commandName){
+        return this.storage.get(composeCommandKey(commandName));
+    }
 
-	/*
-	 * Returns a list of all the commands held in the registry.
-	 * @return {Promise} with an array of maps with the following structure
-	 *     { name:"commandName",description:"description" }
-	 */
-	static getListOfCommands(){
-		let redis = new Redis();
-		return 
-			redis.keys(COMMANDS_MAP_KEY_BASE)
-				.then(function(keys){
-					let pipeline = redis.pipeline();
-					for(let key of keys){
-						pipeline.hgetall(key);
-					}
-					
-					return pipeline.exec();
-				})
-				.then(function(results){
-					let commands = new Array();
-					for(let result of results){
-						let command = result[1];
-						commands.push(command);
-					}
-					return commands;
-				});
-	}
+    /**
+     * Returns a list of all the commands held in the registry,
+     * sorted by name.
+     * @return {Promise} with an array of command descriptions.
+     */
+    list(){
+        return this.listByPrefix('');
+    }
 
-	/*
-	 * Returns a command as held in the registry if it exists.
-	 * @return {Promise} with the result in the following structure:
-	 *     {name:"commandName",description:"description"} or null if
-	 *     the command doesn't exist.
-	 */
-	static getCommand(commandName){
-		let redis = new Redis();
-		return redis.hgetall(composeCommandKey({name:commandName}));
-	}
+    /**
+     * Returns the list of the commands whose name starts with
+     * the given prefix, sorted by name.
+     * @param {string} prefix - the beginning of the command names.
+     * @return {Promise} with an array of command descriptions.
+     */
+    listByPrefix(prefix){
+        return this.storage.keys(composeCommandKey(prefix))
+            .then((keys) => Promise.all(keys.map((key) => this.storage.get(key))))
+            .then((commands) => {
+                return commands
+                    .filter((command) => command !== null)
+                    .sort((first,second) => first.name.localeCompare(second.name));
+            });
+    }
 }
 
 /*
- * Builds the key name for a given command.
- * Since redis does not allow for nested structures, the namespacing
- * of commands will be done with the key.
+ * Builds the key name for a given command name.
+ * Since the storage backends don't allow for nested structures,
+ * the namespacing of commands will be done with the key.
  * For example:
- *  "hubots-commands.registry.commandName"
- *  which will hold	the following hash:
- *  {
- *    name:"commandName",
- *    description:"description"
- *  }
+ *  "hubot-commands.registry.commandName"
  */
-function composeCommandKey(command){
-	return `${COMMANDS_MAP_KEY_BASE}.${command.name}`;
+function composeCommandKey(commandName){
+    return `${COMMANDS_MAP_KEY_BASE}.${commandName}`;
+}
+
+/*
+ * Builds the description of a command as held in the registry.
+ */
+function describeCommand(command){
+    return {
+        name: command.name,
+        aliases: (command.aliases || []).slice(),
+        description: command.help,
+        category: command.category || null
+    };
 }
 
 const COMMANDS_MAP_KEY_BASE = "hubot-commands.registry";
+
+module.exports = CommandRegistry;
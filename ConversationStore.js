@@ -0,0 +1,90 @@
+"use strict";
+
+var keyOf = require('./users.js').keyOf;
+
+/**
+ * Keeps the conversations that wait for an answer of a user, such as the
+ * confirmation of a destructive command, or the value of a missing parameter.
+ *
+ * There is at most one pending conversation per user and room, which expires
+ * when it isn't answered within the timeout. A pending conversation is an
+ * object with an answer(text,options) method, which receives the next input
+ * of the user and returns either a promise of the result of the conversation,
+ * or null if the input is not an answer to it. It may also have an expire()
+ * method, which is invoked once it is found expired.
+ *
+ * The expiration is checked when the conversations are looked for, so no
+ * timer is involved, and the clock can be replaced for testing purposes.
+ */
+class ConversationStore {
+    /**
+     * @param {object} options - Optional. The available options are:
+     *  - timeout {number}: the milliseconds a conversation waits for an answer.
+     *    Defaults to one minute.
+     *  - clock {object}: an object with a now method that gives the current time
+     *    in milliseconds. Defaults to Date.
+     */
+    constructor(options){
+        options = Object.assign({timeout: 60*1000, clock: Date}, options);
+        this.timeout = options.timeout;
+        this.clock = options.clock;
+        this.conversations = new Map();
+    }
+
+    /**
+     * Starts a conversation with the user of the given context, replacing the
+     * one that was pending, if any.
+     * @param {InvocationContext} context - the context whose user and room are waited for.
+     * @param {object} conversation - the pending conversation, with an answer method.
+     */
+    start(context,conversation){
+        this.conversations.set(ConversationStore.keyOf(context.user,context.room),{
+            conversation: conversation,
+            expiresAt: this.clock.now()+this.timeout
+        });
+    }
+
+    /**
+     * Gives the pending conversation of a user in a room.
+     * @param {object} user - the user, as given by hubot.
+     * @param {string} room - the room.
+     * @returns {object} - the conversation, or null if there is none or it expired.
+     */
+    get(user,room){
+        let key = ConversationStore.keyOf(user,room);
+        let entry = this.conversations.get(key);
+        if(typeof entry === 'undefined'){
+            return null;
+        }
+        if(entry.expiresAt <= this.clock.now()){
+            this.conversations.delete(key);
+            if(typeof entry.conversation.expire === 'function'){
+                entry.conversation.expire();
+            }
+            return null;
+        }
+
+        return entry.conversation;
+    }
+
+    /**
+     * Ends the pending conversation of a user in a room, if any.
+     * @param {object} user - the user, as given by hubot.
+     * @param {string} room - the room.
+     */
+    end(user,room){
+        this.conversations.delete(ConversationStore.keyOf(user,room));
+    }
+
+    /**
+     * Builds the key of the conversations of a user in a room.
+     * @param {object} user - the user, as given by hubot.
+     * @param {string} room - the room.
+     * @returns {string}
+     */
+    static keyOf(user,room){
+        return (keyOf(user) || '')+'@'+(room || '');
+    }
+}
+
+module.exports = ConversationStore;
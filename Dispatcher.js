@@ -0,0 +1,411 @@
+"use strict";
+
+var Promise = require('bluebird');
+var Command = require('./Command');
+var Question = require('./Question');
+var ConversationStore = require('./ConversationStore');
+var suggestions = require('./suggestions');
+var MemoryRateLimitStore = require('./ratelimit/MemoryRateLimitStore');
+var RunningExecutions = require('./RunningExecutions');
+var MemoryHistoryStore = require('./history/MemoryHistoryStore');
+var ParseError = require('./exceptions.js').ParseError;
+var splitChain = require('./tokenizer.js').splitChain;
+
+/**
+ * Routes arbitrary chat input to the right Command.
+ *
+ * The dispatcher holds Command classes or instances. For each input it
+ * selects the command whose name best matches the beginning of the input,
+ * which is the longest registered name or alias that the command accepts
+ * through Command.matchName, so that having both a "deploy" and a
+ * "deploy status" command sends "deploy status app" to the latter.
+ * A fresh instance of the selected Command class is created for each
+ * invocation, while the instances are shared by all of them, which is safe
+ * as long as they keep the state of each execution in it's context.
+ *
+ * When a user has a pending conversation in a room, such as a confirmation
+ * asked by a command, the next input of the user in that room is given to
+ * the conversation first, and only dispatched if it isn't an answer to it.
+ *
+ * When the chaining option is on, many commands can be chained in a single
+ * input, see the execute method:
+ *     deploy app && notify team
+ *     search errors from today | count
+ *
+ * example:
+ *     var dispatcher = new Dispatcher();
+ *     dispatcher.addCommand(TestCommand);
+ *     dispatcher.dispatch('test from 2015 to 2016')
+ *         .then(function(result){
+ *             if(result instanceof Dispatcher.NoMatchResult){
+ *                 chat.send('I do not understand your command');
+ *             } else {
+ *                 chat.send('Your command was executed: '+result);
+ *             }
+ *         })
+ *         .catch(ParseError,ValidationError,function(error){
+ *             chat.send('Your command could not be executed: '+error.message);
+ *         });
+ */
+class Dispatcher {
+    /**
+     * @param {object} options - Optional. The available options are:
+     *  - helpFormat {string}: the format of the help given by the commands,
+     *    see the help module. Defaults to the one of each command.
+     *  - conversations {ConversationStore}: keeps the conversations that wait for an
+     *    answer of the users. Defaults to a new one, with it's default timeout.
+     *  - middlewares {Array}: the middlewares of every execution, see the use method.
+     *  - rateLimitStore {object}: counts the executions of the commands that have rate
+     *    limits, see the ratelimit folder. Defaults to a new MemoryRateLimitStore.
+     *  - runningExecutions {RunningExecutions}: keeps the running executions, so that
+     *    the cancel command can cancel them. Defaults to a new one.
+     *  - historyStore {object}: records the executions of the commands, see the
+     *    history folder. Defaults to a new MemoryHistoryStore.
+     *  - chaining {boolean}: whether the inputs may chain many commands. Defaults to false.
+     *  - macros {MacroStore}: the macros of the users, which are expanded before the
+     *    inputs are executed. Defaults to null, which means no macros.
+     * Any other option is given to the context of every execution.
+     */
+    constructor(options){
+        this.options = Object.assign({
+            conversations: new ConversationStore(),
+            rateLimitStore: new MemoryRateLimitStore(),
+            runningExecutions: new RunningExecutions(),
+            historyStore: new MemoryHistoryStore(),
+            chaining: false,
+            macros: null
+        }, options);
+        this.options.middlewares = (this.options.middlewares || []).slice();
+        this.commands = [];
+    }
+
+    /**
+     * Adds a middleware to every execution of the dispatched commands, which
+     * comes before the middlewares of the commands themselves. See Command.use.
+     * @param {object} middleware - the middleware.
+     * @returns {Dispatcher} - this dispatcher, to allow chaining.
+     */
+    use(middleware){
+        this.options.middlewares.push(middleware);
+        return this;
+    }
+
+    /**
+     * Adds a Command class, or a Command instance, to the dispatcher.
+     * For a class, an instance of the command is created once to know it's
+     * name. The arguments given after the class are passed to it's constructor,
+     * both for this instance and for the ones created for each invocation.
+     * @param {function|Command} CommandClass - a subclass of Command, or an
+     *        instance to share between all the invocations.
+     * @param {...*} constructorArguments - Optional. The arguments of the constructor.
+     * @returns {Dispatcher} - this dispatcher, to allow chaining.
+     */
+    addCommand(CommandClass,...constructorArguments){
+        let shared = CommandClass instanceof Command;
+        let sample = shared ? CommandClass : new CommandClass(...constructorArguments);
+        this.commands.push({
+            type: sample.constructor,
+            name: sample.name,
+            sample: sample,
+            shared: shared,
+            constructorArguments: constructorArguments
+        });
+
+        return this;
+    }
+
+    /**
+     * Publishes the description of every command of the dispatcher in
+     * the given registry, adding the missing ones and updating the rest.
+     * @param {CommandRegistry} registry - the registry to publish to.
+     * @returns {Promise} - for when the operation is done.
+     */
+    publish(registry){
+        return Promise.all(this.commands.map((entry) => {
+            return registry.add(entry.sample)
+                .then((added) => added || registry.update(entry.sample));
+        })).then(() => {
+            return;
+        });
+    }
+
+    /**
+     * Finds the Command class that would parse the given input.
+     * When many commands accept the input, the one with the longest
+     * name wins.
+     * @param {string} commandString - the input to match.
+     * @returns {function} - the Command class, or null if none matches.
+     */
+    match(commandString){
+        let entry = this._matchEntry(commandString);
+        return entry === null ? null : entry.type;
+    }
+
+    /**
+     * Gives the Command instance that would parse the given input: a new
+     * one for the classes, or the shared one for the instances.
+     * @param {string} commandString - the input to match.
+     * @returns {Command} - the Command instance, or null if none matches.
+     */
+    createCommand(commandString){
+        let entry = this._matchEntry(commandString);
+        if(entry === null){
+            return null;
+        }
+
+        return entry.shared ? entry.sample : new entry.type(...entry.constructorArguments);
+    }
+
+    /**
+     * Executes the given input with the matching command, unless the input
+     * answers a pending conversation of the user, which is ended before being
+     * answered. An input that is not a string is accepted by no command.
+     * @param {string} commandString - the input as written by the user.
+     * @param {object} options - Optional. The attributes of the context of the
+     *        execution, such as the user, room, robot and message. They take
+     *        precedence over the options of the dispatcher.
+     * @returns {Promise} - with the result of the execute method or of the answered
+     *          conversation.
+     */
+    dispatch(commandString,options){
+        return Promise.try(() => {
+            let contextOptions = this.contextOptions(options);
+            let conversations = contextOptions.conversations;
+            let conversation = conversations ? conversations.get(contextOptions.user,contextOptions.room) : null;
+            if(conversation !== null){
+                conversations.end(contextOptions.user,contextOptions.room);
+                let result = conversation.answer(commandString,contextOptions);
+                if(result !== null){
+                    return result;
+                }
+            }
+
+            return this.execute(commandString,contextOptions);
+        });
+    }
+
+    /**
+     * Executes the given input with the matching command, regardless of the pending
+     * conversations of the user.
+     *
+     * When chaining is enabled, the input may be made of many commands separated
+     * by operators outside of quotes, which are executed in turn:
+     *  - a ; b: executes b once a ends, even if it fails.
+     *  - a && b: only executes b if a succeeds.
+     *  - a | b: only executes b if a succeeds, and gives it the result of a, which
+     *    becomes the piped attribute of the context of b. See Parameter.pipe.
+     * An input that no command accepts is a failure of it's stage, and the chain stops
+     * as soon as a command asks the user a question, such as a confirmation.
+     *
+     * The macros of the user are expanded first, see MacroStore. The inputs of the
+     * commands whose rawInput attribute is true are neither expanded nor split.
+     * @param {string} commandString - the input as written by the user.
+     * @param {object} options - Optional. The attributes of the context of the execution.
+     * @returns {Promise} - with the result of Command.execute, a ChainResult for the
+     *          chains, or a NoMatchResult when no command accepts the input.
+     * @throws {ParseError} - When a macro of the input cannot be expanded.
+     */
+    execute(commandString,options){
+        return this.expand(commandString,options)
+            .then((expandedString) => this._execute(expandedString,options));
+    }
+
+    /**
+     * Expands the macros of the user in the given input, see MacroStore. The macros
+     * named as a command of the dispatcher are not expanded, so that they cannot hide it.
+     * @param {string} commandString - the input as written by the user.
+     * @param {object} options - Optional. The attributes of the context of the execution.
+     * @returns {Promise} - with the expanded input, which is the same input when it has no macros.
+     * @throws {ParseError} - When a macro of the input cannot be expanded.
+     */
+    expand(commandString,options){
+        let contextOptions = this.contextOptions(options);
+        if(!contextOptions.macros || typeof commandString !== 'string' || this._takesRawInput(commandString)){
+            return Promise.resolve(commandString);
+        }
+
+        return contextOptions.macros.expand(commandString,contextOptions);
+    }
+
+    /*
+     * Executes an input whose macros have already been expanded.
+     */
+    _execute(commandString,options){
+        let chained = this.options.chaining && typeof commandString === 'string' && !this._takesRawInput(commandString);
+        let stages = chained ? parseChain(commandString) : null;
+        if(stages !== null && stages.length > 1){
+            return this._executeChain(stages,options);
+        }
+
+        let command = this.createCommand(commandString);
+        if(command === null){
+            return Promise.resolve(new NoMatchResult(commandString,this.suggest(commandString)));
+        }
+
+        return command.execute(commandString,this.contextOptions(options));
+    }
+
+    /**
+     * Gives the names of the commands that the user may have meant with an
+     * input that no command accepts, see the suggestions module.
+     * @param {string} commandString - the input as written by the user.
+     * @returns {Array} - the names of the commands, the closest first.
+     */
+    suggest(commandString){
+        let names = this.commands.reduce((names,entry) => names.concat(entry.name,entry.sample.aliases),[]);
+        return suggestions.suggest(commandString,names);
+    }
+
+    /**
+     * Gives the attributes of the context of an execution, which are the
+     * options of the dispatcher overridden by the given ones, and the
+     * dispatcher itself.
+     * @param {object} options - Optional. The options of the execution.
+     * @returns {object}
+     */
+    contextOptions(options){
+        return Object.assign({},this.options,options,{dispatcher: this});
+    }
+
+    /*
+     * Executes the stages of a chain, as given by tokenizer.splitChain, in turn.
+     */
+    _executeChain(stages,options){
+        let executedStages = [];
+        let waiting = false;
+        return Promise.each(stages,(stage,index)=>{
+            let previousStage = index > 0 ? executedStages[index-1] : null;
+            let executedStage = new ChainStage(index+1,stage.input,stage.operator);
+            executedStages.push(executedStage);
+            if(waiting || (previousStage !== null && previousStage.status !== 'success' && stage.operator !== ';')){
+                return;
+            }
+
+            let stageOptions = Object.assign({},options);
+            delete stageOptions.piped;
+            if(stage.operator === '|'){
+                stageOptions.piped = previousStage.result;
+                previousStage.piped = true;
+            }
+            return this._execute(stage.input,stageOptions)
+                .then((result)=>{
+                    if(result instanceof NoMatchResult){
+                        throw new ParseError(result.message,{suggestions: result.suggestions});
+                    }
+                    executedStage.status = 'success';
+                    executedStage.result = result;
+                    waiting = result instanceof Question;
+                })
+                .catch((error)=>{
+                    executedStage.status = 'error';
+                    executedStage.error = error;
+                    error.stage = {position: executedStage.position, input: executedStage.input};
+                });
+        }).then(() => new ChainResult(executedStages));
+    }
+
+    /*
+     * Whether the command, or subcommand, that accepts the input takes it as it is written.
+     */
+    _takesRawInput(commandString){
+        let entry = this._matchEntry(commandString);
+        return entry !== null && entry.sample.resolve(commandString).rawInput;
+    }
+
+    /*
+     * Finds the entry of the command with the longest name or alias that accepts the input.
+     */
+    _matchEntry(commandString){
+        let bestMatch = null;
+        let bestLength = 0;
+        for(let entry of this.commands){
+            let matchedName = entry.sample.matchName(commandString);
+            if(matchedName !== null && (bestMatch === null || matchedName.length > bestLength)){
+                bestMatch = entry;
+                bestLength = matchedName.length;
+            }
+        }
+
+        return bestMatch;
+    }
+}
+
+/**
+ * The result of a dispatch when no command accepts the input.
+ * @param {string} input - the input that could not be matched.
+ * @param {Array} suggestions - Optional. The names of the commands the user may have meant.
+ */
+class NoMatchResult {
+    constructor(input,suggestedNames){
+        this.matched = false;
+        this.input = input;
+        this.suggestions = suggestedNames || [];
+        this.message = 'No command can parse the given input ('+input+')'+suggestions.didYouMean(this.suggestions);
+    }
+}
+
+/**
+ * The result of a dispatch of many chained commands, with the outcome of each
+ * of them in the stages attribute, in order. Each stage has the attributes:
+ *  - position {number}: the position of the stage in the chain, from 1.
+ *  - input {string}: the input of the stage.
+ *  - operator {string}: the operator that precedes it (";", "&&" or "|"), or null.
+ *  - status {string}: "success", "error" or "skipped" when it was not executed.
+ *  - result {*}: the result of the execution, when it succeeded.
+ *  - error {Error}: the error of the execution, when it failed. The error has a stage
+ *    attribute with the position and input of the stage.
+ *  - piped {boolean}: whether the result was given to the next stage.
+ * @param {Array} stages - the stages.
+ */
+class ChainResult {
+    constructor(stages){
+        this.stages = stages;
+        this.failedStages = stages.filter((stage) => stage.status === 'error');
+        this.succeeded = this.failedStages.length === 0;
+    }
+
+    /**
+     * Gives the stages whose outcome the user must be told about: the failed ones,
+     * and the successful ones whose result was not piped to the next stage.
+     * @returns {Array} - the stages, in order.
+     */
+    outputs(){
+        return this.stages.filter((stage) => stage.status === 'error' || (stage.status === 'success' && !stage.piped));
+    }
+}
+
+/*
+ * A stage of a chain, which is skipped until it is executed.
+ */
+class ChainStage {
+    constructor(position,input,operator){
+        this.position = position;
+        this.input = input;
+        this.operator = operator;
+        this.status = 'skipped';
+        this.result = undefined;
+        this.error = null;
+        this.piped = false;
+    }
+}
+
+/*
+ * Splits an input into the stages of a chain. The inputs that cannot be split,
+ * such as the ones with unclosed quotes, are given to a command as they are,
+ * which tells what is wrong with them.
+ */
+function parseChain(commandString){
+    try {
+        return splitChain(commandString);
+    } catch(error){
+        if(error instanceof ParseError){
+            return null;
+        }
+        throw error;
+    }
+}
+
+Dispatcher.NoMatchResult = NoMatchResult;
+Dispatcher.ChainResult = ChainResult;
+
+module.exports = Dispatcher;
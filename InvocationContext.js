@@ -0,0 +1,97 @@
+"use strict";
+
+var CancellationToken = require('./CancellationToken.js');
+
+/**
+ * The state of a single execution of a command.
+ *
+ * Each call to Command.execute creates it's own context, which is given to
+ * the parameters while parsing, and to the validate and run methods of the
+ * command, so that a single Command instance can execute many inputs at the
+ * same time without them interfering with each other.
+ *
+ * A context has the following attributes:
+ *  - command {Command}: the command being executed.
+ *  - input {string}: the whole input, as given to execute.
+ *  - arguments {string}: the input without the command name.
+ *  - tokens {Array}: the tokens of the arguments, see the tokenizer module.
+ *  - model {object}: where the parameters put their values.
+ *  - givenParameters {Set}: the parameters found in the input.
+ *  - cancellation {CancellationToken}: tells whether the execution has been cancelled.
+ *  - startedAt {number}: when the execution started, in milliseconds since the epoch.
+ *  - user {object}: the user that wrote the input, as given by hubot, or null.
+ *  - room {string}: the room where the input was written, or null.
+ *  - robot {Robot}: the hubot robot, or null.
+ *  - message {Message}: the hubot message that holds the input, or null.
+ *  - helpFormat {string}: the format of the help, or null to use the command's one.
+ *  - roleProvider {object}: gives the roles of the user, or null to use the roles
+ *    attribute of the user. See the roles folder.
+ *  - conversations {ConversationStore}: keeps the conversations that wait for an
+ *    answer of the user, such as confirmations, or null if none can be held.
+ *  - middlewares {Array}: the middlewares of the execution, which come before the
+ *    ones of the command, or null. See Command.use.
+ *  - rateLimitStore {object}: counts the executions of the commands that have rate
+ *    limits, or null. See the ratelimit folder.
+ *  - runningExecutions {RunningExecutions}: keeps the running executions so that
+ *    they can be cancelled, or null.
+ *  - historyStore {object}: records the executions, or null. See the executionHistory
+ *    module and the history folder.
+ *  - macros {MacroStore}: the macros of the users, or null.
+ *  - dispatcher {Dispatcher}: the dispatcher that executes the input, or null.
+ *  - piped {*}: the result of the previous command of a chain, when it is piped to
+ *    this one, or undefined. See Dispatcher.execute.
+ * Any other option given to execute becomes an attribute of the context too.
+ */
+class InvocationContext {
+    /**
+     * @param {Command} command - the command being executed.
+     * @param {string} input - the whole input.
+     * @param {object} options - Optional. The user, room, robot, message, helpFormat
+     *        and any other attribute the context must have.
+     */
+    constructor(command,input,options){
+        Object.assign(this,DEFAULT_OPTIONS,options);
+        this.command = command;
+        this.input = input;
+        this.arguments = '';
+        this.tokens = [];
+        this.model = {};
+        this.givenParameters = new Set();
+        this.cancellation = new CancellationToken();
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Gives the options this context was created with, to create the
+     * context of another execution on behalf of the same user.
+     * @returns {object}
+     */
+    options(){
+        let options = Object.assign({},this);
+        for(let attribute of OWN_ATTRIBUTES){
+            delete options[attribute];
+        }
+
+        return options;
+    }
+}
+
+const DEFAULT_OPTIONS = {
+    user: null,
+    room: null,
+    robot: null,
+    message: null,
+    helpFormat: null,
+    roleProvider: null,
+    conversations: null,
+    middlewares: null,
+    rateLimitStore: null,
+    runningExecutions: null,
+    historyStore: null,
+    macros: null,
+    dispatcher: null
+};
+
+const OWN_ATTRIBUTES = ['command','input','arguments','tokens','model','givenParameters','cancellation','startedAt'];
+
+module.exports = InvocationContext;
@@ -0,0 +1,292 @@
+"use strict";
+
+var Promise = require('bluebird');
+var MemoryStorage = require('./storage/MemoryStorage');
+var ParseError = require('./exceptions.js').ParseError;
+var PermissionError = require('./exceptions.js').PermissionError;
+var tokenizer = require('./tokenizer.js');
+var keyOf = require('./users.js').keyOf;
+
+/**
+ * Keeps the macros defined by the users, which are shortcuts for longer inputs,
+ * and expands them before the inputs are executed.
+ *
+ * A macro belongs either to a user, who is the only one that can use it, or to
+ * a room, where everyone can use it. The macros of the user take precedence over
+ * the ones of the room. A macro has the following structure:
+ *     {name:"standup",expansion:"report from yesterday to today room ops",scope:"user",owner:"U1",
+ *      author:{id:"U1",name:"alice"}}
+ * where the owner is the id (or the name) of the user, or the room, and the author is
+ * the user that defined it, the only one that can redefine or remove a macro of a room.
+ *
+ * The expansion may have positional placeholders, $1 for the first word written
+ * after the name of the macro, $2 for the second one and so on, and $* for all of
+ * them. The words written after the name that no placeholder takes are added at
+ * the end of the expansion:
+ *     greet = say hello to $1         "greet bob" is "say hello to bob"
+ *     standup = report room ops       "standup from monday" is "report room ops from monday"
+ *
+ * The macros are kept in a storage backend, see the storage folder, such as the one
+ * of the CommandRegistry, so that they survive the restarts of the application.
+ * Once given to a Dispatcher through the macros option, the inputs are expanded
+ * before being executed, see Dispatcher.execute. The names of the commands of the
+ * dispatcher given in the options cannot be taken by the macros.
+ */
+class MacroStore {
+    /**
+     * @param {object} storage - Optional. The storage backend. Defaults to a new MemoryStorage.
+     */
+    constructor(storage){
+        this.storage = storage || new MemoryStorage();
+    }
+
+    /**
+     * Defines a macro, replacing the one with the same name and owner, if any.
+     * @param {string} name - the name of the macro, a single word.
+     * @param {string} expansion - what the macro stands for.
+     * @param {string} scope - either "user" or "room".
+     * @param {object} options - the user, room and dispatcher of the execution that defines it.
+     * @returns {Promise} - with the macro.
+     * @throws {ParseError} - when the name is not a single word or the name of a command,
+     *         or the macro would expand to itself.
+     * @throws {PermissionError} - when the macro of the room was defined by another user.
+     */
+    define(name,expansion,scope,options){
+        return Promise.try(() => {
+            if(!/^[^\s=;&|'"\\$]+$/.test(name)){
+                throw new ParseError('The name of an alias ('+name+') must be a single word');
+            }
+            let macro = {name: name, expansion: expansion.trim(), scope: scope, owner: ownerOf(scope,options),
+                author: authorOf(options)};
+            if(macro.owner === null){
+                throw new ParseError('The alias '+name+' has no '+scope+' to belong to');
+            }
+            if(isCommand(name,options)){
+                throw new ParseError('The alias '+name+' would hide the command with the same name');
+            }
+
+            let key = composeMacroKey(scope,macro.owner,name);
+            return this.storage.get(key)
+                .then((existingMacro) => {
+                    checkAuthor(existingMacro,options,'redefine');
+                    // Expanding it, without arguments, tells whether it would use itself
+                    return this._expand(macro.expansion,options,{path: [name], macro: macro, lenient: true});
+                })
+                .then(() => this.storage.set(key,macro))
+                .then(() => macro);
+        });
+    }
+
+    /**
+     * Removes a macro.
+     * @param {string} name - the name of the macro.
+     * @param {string} scope - either "user" or "room".
+     * @param {object} options - the user and room of the execution that removes it.
+     * @returns {Promise} - with true if the macro existed.
+     * @throws {PermissionError} - when the macro of the room was defined by another user.
+     */
+    remove(name,scope,options){
+        let owner = ownerOf(scope,options);
+        if(owner === null){
+            return Promise.resolve(false);
+        }
+
+        let key = composeMacroKey(scope,owner,name);
+        return this.storage.get(key)
+            .then((macro) => {
+                if(macro === null){
+                    return false;
+                }
+                checkAuthor(macro,options,'remove');
+                return this.storage.remove(key);
+            });
+    }
+
+    /**
+     * Gives the macro that a user means by a name in a room: their own one, or else
+     * the one of the room.
+     * @param {string} name - the name of the macro.
+     * @param {object} options - the user and room of the execution.
+     * @returns {Promise} - with the macro, or null if there is none.
+     */
+    get(name,options){
+        return Promise.mapSeries(SCOPES,(scope) => {
+            let owner = ownerOf(scope,options);
+            return owner === null ? null : this.storage.get(composeMacroKey(scope,owner,name));
+        }).then((macros) => macros.find((macro) => macro !== null) || null);
+    }
+
+    /**
+     * Lists the macros that a user can use in a room, their own ones first, sorted by name.
+     * @param {object} options - the user and room of the execution.
+     * @returns {Promise} - with the macros.
+     */
+    list(options){
+        return Promise.mapSeries(SCOPES,(scope) => {
+            let owner = ownerOf(scope,options);
+            if(owner === null){
+                return [];
+            }
+            return this.storage.keys(composeMacroKey(scope,owner,''))
+                .then((keys) => Promise.all(keys.map((key) => this.storage.get(key))))
+                .then((macros) => {
+                    // The owners may have dots, so others may share the prefix
+                    return macros
+                        .filter((macro) => macro !== null && macro.owner === owner)
+                        .sort((first,second) => first.name.localeCompare(second.name));
+                });
+        }).then((macros) => macros[0].concat(macros[1]));
+    }
+
+    /**
+     * Expands the macros of an input, which may be the first word of the input or of
+     * any of the commands it chains, and the macros used by their expansions.
+     * @param {string} input - the input as written by the user.
+     * @param {object} options - the user, room and dispatcher of the execution.
+     * @returns {Promise} - with the expanded input, which is the same input when it has no macros.
+     * @throws {ParseError} - when a macro is missing arguments or expands to itself.
+     */
+    expand(input,options){
+        return this._expand(input,options,{path: [], macro: null, lenient: false});
+    }
+
+    /*
+     * Expands the macros of each command of a chain. The state holds the macros
+     * being expanded (path), the macro being defined, which is not stored yet, and
+     * whether the missing arguments are allowed.
+     */
+    _expand(input,options,state){
+        let stages = splitStages(input);
+        return Promise.mapSeries(stages,(stage) => this._expandCommand(stage.input,options,state))
+            .then((inputs) => {
+                return inputs.map((expandedInput,index) => {
+                    return index === 0 ? expandedInput : ' '+stages[index].operator+' '+expandedInput;
+                }).join('');
+            });
+    }
+
+    _expandCommand(input,options,state){
+        let name = input.split(/\s/)[0];
+        let lookup = state.macro !== null && state.macro.name === name ? Promise.resolve(state.macro) : this.get(name,options);
+        return lookup.then((macro) => {
+            // The macros stored before a command with their name was added are left aside
+            if(macro === null || isCommand(name,options)){
+                return input;
+            }
+            if(state.path.indexOf(name) !== -1){
+                throw new ParseError('The alias '+state.path[0]+' is recursive: '+state.path.concat(name).join(' -> '));
+            }
+
+            let expandedInput = substitute(macro,input.substring(name.length).trim(),state.lenient);
+            return this._expand(expandedInput,options,Object.assign({},state,{path: state.path.concat(name)}));
+        });
+    }
+}
+
+/*
+ * Replaces the placeholders of the expansion of a macro with the arguments
+ * written after it's name, and adds the ones left at the end.
+ */
+function substitute(macro,argumentsText,lenient){
+    let expansion = macro.expansion;
+    if(!/\$(\d+|\*)/.test(expansion)){
+        return argumentsText === '' ? expansion : expansion+' '+argumentsText;
+    }
+
+    let values = tokenizer.tokenize(argumentsText).map((token) => quote(token.value));
+    let usedCount = 0;
+    let substitutedExpansion = expansion.replace(/\$(\d+|\*)/g,(placeholder,position) => {
+        if(position === '*'){
+            usedCount = values.length;
+            return values.join(' ');
+        }
+        let count = parseInt(position,10);
+        let value = values[count-1];
+        if(typeof value === 'undefined'){
+            if(lenient){
+                return placeholder;
+            }
+            throw new ParseError('The alias '+macro.name+' needs at least '+count+' argument'+(count === 1 ? '' : 's'));
+        }
+        usedCount = Math.max(usedCount,count);
+        return value;
+    });
+
+    return [substitutedExpansion].concat(values.slice(usedCount)).join(' ');
+}
+
+/*
+ * Quotes the values that the tokenizer would otherwise split or interpret.
+ */
+function quote(value){
+    return /^[^\s"'\\;&|]+$/.test(value) ? value : '"'+value.replace(/["\\]/g,'\\$&')+'"';
+}
+
+/*
+ * The commands of a chain, or the whole input when it cannot be split,
+ * which is then left for the command to complain about.
+ */
+function splitStages(input){
+    try {
+        return tokenizer.splitChain(input);
+    } catch(error){
+        if(error instanceof ParseError){
+            return [{input: input.trim(), operator: null}];
+        }
+        throw error;
+    }
+}
+
+/*
+ * Whether a name is taken by a command of the dispatcher of the execution.
+ */
+function isCommand(name,options){
+    return Boolean(options && options.dispatcher) && options.dispatcher.match(name) !== null;
+}
+
+/*
+ * The user that defines a macro, as kept in it.
+ */
+function authorOf(options){
+    let user = options && options.user;
+    return user ? {id: user.id || null, name: user.name || null} : null;
+}
+
+/*
+ * Only the author of a macro of a room may change it. The macros of a user can
+ * only be reached by that user, and the ones stored without author by anyone.
+ */
+function checkAuthor(macro,options,action){
+    if(macro === null || !macro.author || keyOf(macro.author) === keyOf(options && options.user)){
+        return;
+    }
+
+    throw new PermissionError('You can only '+action+' the aliases you defined, '+macro.name+' was defined by '
+        +(macro.author.name || macro.author.id));
+}
+
+/*
+ * The owner of the macros of a scope: the user (by id or name) or the room.
+ */
+function ownerOf(scope,options){
+    options = options || {};
+    if(scope === 'user'){
+        return keyOf(options.user);
+    }
+
+    return options.room || null;
+}
+
+/*
+ * The key of a macro, such as:
+ *  "hubot-commands.macros.user.U1.standup"
+ */
+function composeMacroKey(scope,owner,name){
+    return `${MACROS_KEY_BASE}.${scope}.${owner}.${name}`;
+}
+
+const MACROS_KEY_BASE = 'hubot-commands.macros';
+
+const SCOPES = ['user','room'];
+
+module.exports = MacroStore;
@@ -17,10 +17,14 @@
  * whether it has to pass the whole command input string to the parameter or try to narrow
  * what it has to give it by the parameter name inside the command input string.
  * The wholeCommandString attribute can be specified on the constructor. It defaults to false.
+ * When a command only has whole command string parameters, the input is left to them, so
+ * it may have any syntax, such as unbalanced quotes.
  *
  * A command just parses the value provided by the command to it, it is not supposed to
  * perform any action by itself. Just parse the command and put any relevant information
- * in the command's model,which may be accessed with this.command.model .
+ * in the model of the execution, which may be accessed with context.model, the context
+ * being the second argument of the parse method. For compatibility, this.command.model
+ * is the same model while the parameter parses it's value.
  *
  * The attributes help.header and help.detail are strings that will be used by the help
  * action of the command, which is invoked by writing "<commandName> help <parameterName>"
@@ -28,6 +32,38 @@
  * The help.header attribute is used when listing the general command info, a brief description
  * of the parameter. The help.detail is used when providing help for a specific parameter.
  *
+ * The following attributes may be changed by the subclasses to control how the command
+ * treats the parameter:
+ * - required: when true, the command cannot be parsed if the parameter is not given.
+ *   Defaults to false.
+ * - default: the value that the parameter takes in the model when it is not given. If it
+ *   is a function, it is invoked to obtain the value each time. Defaults to undefined,
+ *   which means no default value. See the applyDefault method.
+ * - multiple: when true, the parameter may be given many times, and the parse method is
+ *   invoked for each of them. Otherwise, giving it twice is a ParseError. Defaults to false.
+ * - positional: when true, the parameter may be given by position, without it's name, in
+ *   the order the positional parameters were added to the command. The values written
+ *   right after the command name are the positional ones. Defaults to false.
+ * - shortName: a single character that identifies the parameter in the flags syntax of
+ *   the command (-n). Defaults to null.
+ * - flag: when true, the parameter takes no value in the flags syntax (--force), and the
+ *   parse method receives an empty string. Defaults to false.
+ * - type: the name of the type of value the parameter expects, such as "date", used to
+ *   generate the usage line of the command. Defaults to "value".
+ * - roles: the roles that may give the parameter, any of them being enough. Defaults to an
+ *   empty list, which means everyone. See also the authorize method.
+ * - aliases: other names that the parameter may be given by, such as "since" for a "from"
+ *   parameter. Defaults to an empty list.
+ * - prompt: the question asked to the user when the parameter is missing and the command
+ *   prompts for it, such as "When should I start?". Defaults to null, which means that the
+ *   question is made from the help of the parameter. See the promptText method.
+ * - pipe: when true, the parameter takes the result of the previous command of a chain
+ *   piped to the command ("search errors | count"), when it is not given in the input.
+ *   The result is given to the parse method as text: strings as they are, arrays with
+ *   an element per line, and any other object in JSON. A whole command string parameter
+ *   receives the text after the rest of the input. Defaults to false. The piped result is
+ *   also available to the command as the piped attribute of the context.
+ *
  */
 class Parameter {
     constructor(parameterName,command,wholeCommandString=false){
@@ -38,17 +74,139 @@ class Parameter {
             detail: ""
         };
 		this.wholeCommandString = wholeCommandString;
+        this.required = false;
+        this.default = undefined;
+        this.multiple = false;
+        this.positional = false;
+        this.shortName = null;
+        this.flag = false;
+        this.type = 'value';
+        this.roles = [];
+        this.aliases = [];
+        this.prompt = null;
+        this.pipe = false;
     }
 
     /**
      * The command will pass to the parameter the value so that it can be treated.
-     * The parameter will update the model of the command, or throw either ParseError
+     * The parameter will update the model of the context, or throw either ParseError
      * or ValidationError when the parsing cannot pass successfully.
+     * It may return a promise instead, such as to check that the value exists in a
+     * backend, which the command waits for. Any other rejection becomes a ParseError.
      *
      * To be implemented by subclasses.
+     * @param {string} value - the value of the parameter, as written by the user.
+     * @param {InvocationContext} context - the context of the execution, which holds the model.
      */
     parse(){throw new Error("the parse method must be implemented by Command subclasses");}
 
+    /**
+     * Validates the value of the parameter once the whole command has been parsed,
+     * and before the command's own validation. Only invoked when the parameter has
+     * a value.
+     * May be implemented by the subclasses. By default returns true.
+     * @param {*} value - the value of the parameter, as given by getValue.
+     * @param {InvocationContext} context - the context of the execution.
+     * @returns {boolean|string|Promise} - true if the value is valid. Otherwise, either
+     *          false or the reason why it is not valid. Or a promise of it, whose
+     *          rejection tells the reason why the value is not valid.
+     */
+    validate(){return true;}
+
+    /**
+     * Decides whether the user of an execution may give the parameter, in addition to
+     * the roles attribute, which is checked before. Only invoked when the parameter is
+     * given, once the whole command has been parsed and validated.
+     * May be implemented by the subclasses. By default returns true.
+     * @param {InvocationContext} context - the context of the execution.
+     * @param {Array} roles - the roles of the user.
+     * @returns {boolean|Promise} - true, or a promise of true, if the user is allowed.
+     */
+    authorize(){return true;}
+
+    /**
+     * Retrieves the value of the parameter from the model of the context,
+     * which is found under the name of the parameter.
+     * May be overridden by subclasses that store their value elsewhere in the model.
+     * @param {InvocationContext} context - the context of the execution.
+     * @returns {*} - the value, or undefined if the parameter has none.
+     */
+    getValue(context){
+        return context.model[this.name];
+    }
+
+    /**
+     * Describes the value that the parameter expects, as shown in the usage
+     * line of the command, such as "<date>".
+     * May be overridden by subclasses to be more specific.
+     * @returns {string}
+     */
+    valueDescription(){
+        return '<'+this.type+'>';
+    }
+
+    /**
+     * Describes the parameter for the help renderers.
+     * @returns {object} - with the name, aliases, value (as given by valueDescription), required,
+     *          default (as a string, or null if it cannot be shown), header and detail attributes.
+     */
+    describe(){
+        let defaultValue = null;
+        if(this.hasDefault() && typeof this.default !== 'function' && this.default !== null){
+            defaultValue = this.default instanceof Date ? this.default.toISOString() : String(this.default);
+        }
+
+        return {
+            name: this.name,
+            aliases: this.aliases.slice(),
+            value: this.valueDescription(),
+            required: this.required,
+            default: defaultValue,
+            header: this.help.header,
+            detail: this.help.detail
+        };
+    }
+
+    /**
+     * Gives the question asked to the user when the parameter is missing and the
+     * command prompts for it: the prompt attribute if there is one, otherwise a
+     * request of the parameter followed by it's help.header and help.detail.
+     * @returns {string}
+     */
+    promptText(){
+        if(this.prompt){
+            return this.prompt;
+        }
+
+        let text = 'Please give the '+this.name;
+        if(this.help.header && this.help.header !== this.name){
+            text += ' ('+this.help.header+')';
+        }
+        if(this.help.detail){
+            text += '\n'+this.help.detail;
+        }
+
+        return text;
+    }
+
+    /**
+     * Whether the parameter declares a default value.
+     * @returns {boolean}
+     */
+    hasDefault(){
+        return typeof this.default !== 'undefined';
+    }
+
+    /**
+     * Puts the default value of the parameter in the model of the context, under the
+     * name of the parameter. Invoked by the command when the parameter is not given.
+     * May be overridden by subclasses that store their value elsewhere in the model.
+     * @param {InvocationContext} context - the context of the execution.
+     */
+    applyDefault(context){
+        context.model[this.name] = typeof this.default === 'function' ? this.default() : this.default;
+    }
+
 }
 
 module.exports = Parameter;
@@ -0,0 +1,20 @@
+"use strict";
+
+/**
+ * The result of an execution that needs the user to answer a question
+ * before going on, such as a confirmation. The answer is expected as the
+ * next input of the user in the same room.
+ * @param {string} text - the question to ask to the user.
+ * @constructor
+ */
+class Question {
+    constructor(text){
+        this.text = text;
+    }
+
+    toString(){
+        return this.text;
+    }
+}
+
+module.exports = Question;
@@ -0,0 +1,43 @@
+"use strict";
+
+var keyOf = require('./users.js').keyOf;
+
+/**
+ * Keeps the executions that are running, so that they can be cancelled,
+ * as the cancel command does.
+ *
+ * The executions are given by their context, which holds the user that
+ * started them and their cancellation token. The commands add their
+ * executions right before running, and remove them once they end.
+ */
+class RunningExecutions {
+    constructor(){
+        this.executions = new Set();
+    }
+
+    /**
+     * @param {InvocationContext} context - the context of the execution that starts running.
+     */
+    add(context){
+        this.executions.add(context);
+    }
+
+    /**
+     * @param {InvocationContext} context - the context of the execution that ended.
+     */
+    remove(context){
+        this.executions.delete(context);
+    }
+
+    /**
+     * Gives the running executions of a user.
+     * @param {object} user - the user, as given by hubot.
+     * @returns {Array} - the contexts of the executions, the oldest first.
+     */
+    list(user){
+        let userKey = keyOf(user);
+        return Array.from(this.executions).filter((context) => keyOf(context.user) === userKey);
+    }
+}
+
+module.exports = RunningExecutions;
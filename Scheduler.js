@@ -0,0 +1,307 @@
+"use strict";
+
+var Promise = require('bluebird');
+var Dispatcher = require('./Dispatcher');
+var Question = require('./Question');
+var MemoryStorage = require('./storage/MemoryStorage');
+var ParseError = require('./exceptions.js').ParseError;
+var schedules = require('./schedules');
+var suggestions = require('./suggestions');
+var keyOf = require('./users').keyOf;
+
+/**
+ * Executes commands later, once or repeatedly, on behalf of the users that
+ * scheduled them, and posts their results to the room where they were scheduled.
+ *
+ * Each scheduled command is a job with the following structure:
+ *     {id:3,input:"report from yesterday to today",when:"every weekday at 09:00",
+ *      schedule:{type:"cron",expression:"0 9 * * 1-5"},user:{id:"U1",name:"alice",roles:["ops"]},
+ *      room:"general",nextRun:1451635200000}
+ * where the schedule is the one given by the schedules module, and nextRun is when
+ * the job is executed next, in milliseconds.
+ *
+ * The user of a job keeps the roles attribute that the user had when scheduling it,
+ * which authorizes the executions unless the dispatcher has a roleProvider. Give it
+ * one, such as the BrainRoleProvider, for the jobs to follow the changes of the roles.
+ *
+ * The jobs are executed by the dispatcher, through Dispatcher.execute, with it's
+ * options, so that they may chain many commands, and they are authorized,
+ * rate limited and recorded in the history as any other execution. The jobs are kept
+ * in a storage backend, see the storage folder, so that they survive the restarts of
+ * the application once the scheduler is started again. The jobs that were due while
+ * the application was stopped are executed as soon as it starts. A storage must only
+ * be used by a single scheduler.
+ * example:
+ *     var scheduler = new Scheduler(dispatcher,{robot: robot, storage: new BrainStorage(robot)});
+ *     dispatcher.addCommand(ScheduleCommand,scheduler);
+ *     scheduler.start();
+ */
+class Scheduler {
+    /**
+     * @param {Dispatcher} dispatcher - the dispatcher whose commands are scheduled.
+     * @param {object} options - Optional. The available options are:
+     *  - storage {object}: keeps the jobs. Defaults to a new MemoryStorage.
+     *  - robot {Robot}: the hubot robot, given to the executions and used to post their
+     *    results with robot.messageRoom. Defaults to null, which means no result is posted.
+     *  - formatResult {function}: turns the result of a job into the message to post.
+     *    Results that end up being undefined or null are not posted. Defaults to the
+     *    result itself, the text of the questions, or a line per output of the chains.
+     *  - formatError {function}: turns the error of a job, and the job, into the message
+     *    to post. The errors are logged through the robot too.
+     *  - clock {object}: an object with a now method that gives the current time in
+     *    milliseconds, and setTimeout and clearTimeout methods that work as the global
+     *    ones. Defaults to the global ones. Can be replaced for testing purposes.
+     */
+    constructor(dispatcher,options){
+        options = Object.assign({
+            storage: new MemoryStorage(),
+            robot: null,
+            formatResult: defaultFormatResult,
+            formatError: defaultFormatError,
+            clock: DEFAULT_CLOCK
+        }, options);
+        this.dispatcher = dispatcher;
+        this.storage = options.storage;
+        this.robot = options.robot;
+        this.formatResult = options.formatResult;
+        this.formatError = options.formatError;
+        this.clock = options.clock;
+        this.timers = new Map();
+        this.lastId = 0;
+    }
+
+    /**
+     * Loads the stored jobs and waits for them to be due. To be invoked before
+     * scheduling new jobs, so that their ids don't clash with the stored ones.
+     * @returns {Promise} - with the loaded jobs.
+     */
+    start(){
+        return this.list()
+            .then((jobs) => {
+                for(let job of jobs){
+                    this.lastId = Math.max(this.lastId,job.id);
+                    this._arm(job);
+                }
+                return jobs;
+            });
+    }
+
+    /**
+     * Stops waiting for the jobs, which are kept in the storage.
+     */
+    stop(){
+        for(let timer of this.timers.values()){
+            this.clock.clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+
+    /**
+     * Schedules the execution of an input.
+     * @param {string} input - the input to execute, starting with the command name or
+     *        a macro of the user, which is expanded each time the job is executed.
+     * @param {string} when - the schedule, see the schedules module.
+     * @param {object} options - Optional. The user and room on behalf of which the input
+     *        is executed, and where the results are posted.
+     * @returns {Promise} - with the scheduled job.
+     * @throws {ParseError} - when the schedule is not valid, or no command accepts the input.
+     * @throws {PermissionError} - when the user is not allowed to use the command.
+     */
+    schedule(input,when,options){
+        options = options || {};
+        let schedule = null;
+        return Promise.try(() => {
+            schedule = schedules.parseSchedule(when,this.clock.now());
+            return this.dispatcher.expand(input,options);
+        }).then((expandedInput) => {
+            let command = this.dispatcher.createCommand(expandedInput);
+            if(command === null){
+                throw new ParseError('No command can parse the given input ('+input+')'
+                    +suggestions.didYouMean(this.dispatcher.suggest(expandedInput)));
+            }
+
+            // Only the first command of a chain is known to be allowed until it is executed
+            command = command.resolve(expandedInput);
+            return command.checkAuthorized(command.createContext(expandedInput,this.dispatcher.contextOptions(options)));
+        }).then(() => {
+            let job = {
+                id: ++this.lastId,
+                input: input,
+                when: when,
+                schedule: schedule,
+                user: options.user ? {
+                    id: options.user.id || null,
+                    name: options.user.name || null,
+                    roles: (options.user.roles || []).slice()
+                } : null,
+                room: options.room || null,
+                nextRun: schedules.nextRun(schedule,this.clock.now())
+            };
+            if(job.nextRun === null){
+                throw new ParseError('The schedule ('+when+') is never due');
+            }
+            return this._save(job).then(() => job);
+        });
+    }
+
+    /**
+     * Gives a scheduled job.
+     * @param {number} id - the id of the job.
+     * @returns {Promise} - with the job, or null if it doesn't exist.
+     */
+    get(id){
+        return this.storage.get(composeJobKey(id));
+    }
+
+    /**
+     * Lists the scheduled jobs, the next ones first.
+     * @param {object} filter - Optional. The user (as given by hubot) and room of the jobs.
+     * @returns {Promise} - with the jobs.
+     */
+    list(filter){
+        filter = filter || {};
+        return this.storage.keys(JOBS_KEY_BASE+'.')
+            .then((keys) => Promise.all(keys.map((key) => this.storage.get(key))))
+            .then((jobs) => {
+                return jobs
+                    .filter((job) => job !== null
+                        && (!filter.user || keyOf(job.user) === keyOf(filter.user))
+                        && (!filter.room || job.room === filter.room))
+                    .sort((job, otherJob) => job.nextRun-otherJob.nextRun);
+            });
+    }
+
+    /**
+     * Cancels a scheduled job.
+     * @param {number} id - the id of the job.
+     * @returns {Promise} - with true if the job existed.
+     */
+    cancel(id){
+        this._disarm(id);
+        return this.storage.remove(composeJobKey(id));
+    }
+
+    /**
+     * Executes a job right away, posts it's result, and either waits for it's next
+     * execution or removes it when it isn't due anymore.
+     * @param {object} job - the job.
+     * @returns {Promise} - with the result of the execution, or the error it failed with.
+     */
+    run(job){
+        this._disarm(job.id);
+        let options = {user: job.user, room: job.room, robot: this.robot};
+        return Promise.try(() => this.dispatcher.execute(job.input,options))
+            .then((result) => {
+                return {result: result, message: () => this.formatResult(result)};
+            },(error) => {
+                this._log('Error while executing the scheduled command ('+job.input+'): '+error.stack);
+                return {result: error, message: () => this.formatError(error,job)};
+            })
+            .then((outcome) => {
+                //Failing to post the result must not stop the job
+                return Promise.try(() => this._post(job,outcome.message()))
+                    .catch((error) => {
+                        this._log('Error while posting the result of the scheduled command ('+job.input+'): '+error.stack);
+                    })
+                    .then(() => outcome.result);
+            })
+            .then((outcome) => {
+                return this.get(job.id)
+                    .then((storedJob) => {
+                        job.nextRun = schedules.nextRun(job.schedule,Math.max(this.clock.now(),job.nextRun));
+                        //The job may have been cancelled while it was running
+                        if(storedJob === null){
+                            return;
+                        }
+                        return job.nextRun === null ? this.storage.remove(composeJobKey(job.id)) : this._save(job);
+                    })
+                    .then(() => outcome);
+            });
+    }
+
+    /*
+     * Stores a job and waits for it.
+     */
+    _save(job){
+        return this.storage.set(composeJobKey(job.id),job)
+            .then(() => {
+                this._arm(job);
+            });
+    }
+
+    /*
+     * Waits for a job to be due. The timers cannot wait longer than
+     * MAX_DELAY, so the longer waits are made of many of them.
+     */
+    _arm(job){
+        this._disarm(job.id);
+        let delay = Math.max(0,job.nextRun-this.clock.now());
+        let timer = this.clock.setTimeout(() => {
+            this.timers.delete(job.id);
+            if(delay > MAX_DELAY){
+                this._arm(job);
+            } else {
+                return this.run(job).catch((error) => {
+                    this._log('Error while running the scheduled job #'+job.id+': '+error.stack);
+                });
+            }
+        },Math.min(delay,MAX_DELAY));
+        this.timers.set(job.id,timer);
+    }
+
+    _disarm(id){
+        this.clock.clearTimeout(this.timers.get(id));
+        this.timers.delete(id);
+    }
+
+    _log(message){
+        if(this.robot && this.robot.logger){
+            this.robot.logger.error(message);
+        }
+    }
+
+    _post(job,message){
+        if(this.robot && job.room && typeof message !== 'undefined' && message !== null){
+            this.robot.messageRoom(job.room,message);
+        }
+    }
+}
+
+function defaultFormatResult(result){
+    if(result instanceof Question){
+        return result.text;
+    }
+    if(result instanceof Dispatcher.NoMatchResult){
+        return result.message;
+    }
+    if(result instanceof Dispatcher.ChainResult){
+        return result.outputs().map((stage) => {
+            return stage.status === 'error'
+                ? 'The stage '+stage.position+' ('+stage.input+') failed: '+stage.error.message
+                : defaultFormatResult(stage.result);
+        }).join('\n');
+    }
+
+    return result;
+}
+
+function defaultFormatError(error,job){
+    return 'The scheduled command ('+job.input+') failed: '+error.message;
+}
+
+function composeJobKey(id){
+    return `${JOBS_KEY_BASE}.${id}`;
+}
+
+const DEFAULT_CLOCK = {
+    now: () => Date.now(),
+    setTimeout: (callback,delay) => setTimeout(callback,delay),
+    clearTimeout: (timer) => clearTimeout(timer)
+};
+
+const JOBS_KEY_BASE = 'hubot-commands.schedule';
+
+// The longest delay of setTimeout, about 24 days
+const MAX_DELAY = 2147483647;
+
+module.exports = Scheduler;
@@ -0,0 +1,67 @@
+"use strict";
+
+var Promise = require('bluebird');
+var PermissionError = require('./exceptions.js').PermissionError;
+
+/**
+ * Checks whether the user of an execution may use a command or a parameter.
+ *
+ * Both commands and parameters declare their requirements the same way:
+ *  - roles {Array}: the user must have at least one of these roles. An empty
+ *    list means that no role is needed.
+ *  - authorize(context,roles): a predicate that receives the context of the
+ *    execution and the roles of the user, and returns whether the user is
+ *    allowed, or a promise of it.
+ *
+ * The roles of the user are given by the roleProvider of the context (see the
+ * roles folder), and if there is none, by the roles attribute of the user.
+ *
+ * @param {Command|Parameter} subject - what the user wants to use.
+ * @param {InvocationContext} context - the context of the execution.
+ * @returns {Promise} - with true if the user is allowed.
+ */
+function isAuthorized(subject,context){
+    return getRoles(context)
+        .then((userRoles) => {
+            let requiredRoles = subject.roles || [];
+            if(requiredRoles.length > 0 && !requiredRoles.some((role) => userRoles.indexOf(role) !== -1)){
+                return false;
+            }
+
+            return subject.authorize(context,userRoles);
+        })
+        .then(Boolean);
+}
+
+/**
+ * Checks that the user of an execution may use a command or a parameter,
+ * rejecting with a PermissionError otherwise. See isAuthorized.
+ *
+ * @param {Command|Parameter} subject - what the user wants to use.
+ * @param {InvocationContext} context - the context of the execution.
+ * @param {string} cause - the message of the error.
+ * @returns {Promise} - with no result.
+ * @throws {PermissionError} - when the user is not allowed.
+ */
+function checkAuthorized(subject,context,cause){
+    return isAuthorized(subject,context)
+        .then((authorized) => {
+            if(!authorized){
+                throw new PermissionError(cause);
+            }
+        });
+}
+
+/*
+ * The roles of the user of the context.
+ */
+function getRoles(context){
+    if(context.roleProvider){
+        return Promise.resolve(context.roleProvider.getRoles(context.user,context));
+    }
+
+    return Promise.resolve((context.user && context.user.roles) || []);
+}
+
+exports.isAuthorized = isAuthorized;
+exports.checkAuthorized = checkAuthorized;
@@ -0,0 +1,35 @@
+"use strict";
+
+var Command = require('../Command');
+var AliasDefineCommand = require('./AliasDefineCommand');
+var AliasRemoveCommand = require('./AliasRemoveCommand');
+var AliasListCommand = require('./AliasListCommand');
+
+/**
+ * A built-in command that lets the users define their own shortcuts for
+ * the inputs they repeat, which are kept by the macros option of the context,
+ * see MacroStore:
+ *     alias define standup = report from yesterday to today room ops
+ *     alias define room greet = say hello to $1
+ *     alias remove standup
+ *     alias list
+ *
+ * The aliases belong to the user that defines them, unless "room" is written
+ * before their name, in which case only that user can redefine or remove them. The names of the commands of the dispatcher cannot be
+ * taken by the aliases:
+ *     var dispatcher = new Dispatcher({macros: new MacroStore(new BrainStorage(robot))});
+ *     dispatcher.addCommand(AliasCommand);
+ */
+class AliasCommand extends Command {
+    constructor(){
+        super('alias');
+        this.addSubcommand(new AliasDefineCommand());
+        this.addSubcommand(new AliasRemoveCommand());
+        this.addSubcommand(new AliasListCommand());
+        this.help = "Manages your shortcuts for other commands";
+        this.examples = ['alias define standup = report from yesterday to today room ops', 'alias define room greet = say hello to $1',
+            'alias remove standup', 'alias list'];
+    }
+}
+
+module.exports = AliasCommand;
@@ -0,0 +1,32 @@
+"use strict";
+
+var Command = require('../Command');
+var MacroParameter = require('./MacroParameter');
+
+/**
+ * The define subcommand of the AliasCommand, which defines an alias
+ * for the user, or for the room.
+ */
+class AliasDefineCommand extends Command {
+    constructor(){
+        super('define');
+        this.addParameter(new MacroParameter(this,true));
+        // The expansion is an input of it's own, which may chain commands
+        this.rawInput = true;
+        this.help = "Defines a shortcut for a command, which may use the words written after it as $1, $2...";
+    }
+
+    run(context){
+        let macros = context.macros;
+        if(!macros){
+            return 'The aliases are not enabled';
+        }
+        let model = context.model;
+        return macros.define(model.name,model.expansion,model.scope,context)
+            .then((macro) => {
+                return 'Defined the alias '+macro.name+' for '+(macro.scope === 'room' ? 'this room' : 'you');
+            });
+    }
+}
+
+module.exports = AliasDefineCommand;
@@ -0,0 +1,36 @@
+"use strict";
+
+var Command = require('../Command');
+
+/**
+ * The list subcommand of the AliasCommand, which lists the aliases that
+ * the user can use in the room: their own ones, and the ones of the room.
+ */
+class AliasListCommand extends Command {
+    constructor(){
+        super('list');
+        this.help = "Lists your shortcuts and the ones of the room";
+    }
+
+    run(context){
+        let macros = context.macros;
+        if(!macros){
+            return 'The aliases are not enabled';
+        }
+
+        return macros.list(context)
+            .then((definedMacros) => {
+                if(definedMacros.length === 0){
+                    return 'There are no aliases';
+                }
+
+                let result = "Aliases:\n";
+                for(let macro of definedMacros){
+                    result += "\t- "+macro.name+" = "+macro.expansion+(macro.scope === 'room' ? " (room)" : "")+"\n";
+                }
+                return result;
+            });
+    }
+}
+
+module.exports = AliasListCommand;
@@ -0,0 +1,30 @@
+"use strict";
+
+var Command = require('../Command');
+var MacroParameter = require('./MacroParameter');
+
+/**
+ * The remove subcommand of the AliasCommand, which removes an alias
+ * of the user, or of the room.
+ */
+class AliasRemoveCommand extends Command {
+    constructor(){
+        super('remove');
+        this.addParameter(new MacroParameter(this,false));
+        this.help = "Removes one of your shortcuts, or one of the room";
+    }
+
+    run(context){
+        let macros = context.macros;
+        if(!macros){
+            return 'The aliases are not enabled';
+        }
+
+        return macros.remove(context.model.name,context.model.scope,context)
+            .then((removed) => {
+                return removed ? 'Removed the alias '+context.model.name : 'There is no alias '+context.model.name;
+            });
+    }
+}
+
+module.exports = AliasRemoveCommand;
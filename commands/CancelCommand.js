@@ -0,0 +1,43 @@
+"use strict";
+
+var Command = require('../Command');
+
+/**
+ * A built-in command that cancels the running executions of the user
+ * that writes it, in any room:
+ *     cancel                  cancels every running command of the user
+ *     cancel deploy           only cancels the running deploy commands
+ *
+ * The running executions are the ones kept by the runningExecutions option
+ * of the context, which the Dispatcher provides. The cancelled executions fail
+ * with a CancellationError, and their run method is told through their
+ * cancellation token, see CancellationToken.
+ */
+class CancelCommand extends Command {
+    constructor(){
+        super('cancel');
+        this.addParameter({name: 'command', positional: true, multiple: true, help: 'the name of the commands to cancel'});
+        this.help = "Cancels your running commands";
+        this.examples = ['cancel', 'cancel deploy'];
+    }
+
+    run(context){
+        let runningExecutions = context.runningExecutions;
+        let executions = runningExecutions ? runningExecutions.list(context.user) : [];
+        let commandName = typeof context.model.command === 'undefined' ? null : context.model.command.join(' ');
+        executions = executions.filter((execution) => {
+            return execution !== context && (commandName === null || execution.command.fullName() === commandName);
+        });
+        if(executions.length === 0){
+            return 'You have no running commands to cancel';
+        }
+
+        let userName = context.user ? context.user.name : 'the user';
+        for(let execution of executions){
+            execution.cancellation.cancel('cancelled by '+userName);
+        }
+        return 'Cancelled '+executions.map((execution) => execution.command.fullName()).join(', ');
+    }
+}
+
+module.exports = CancelCommand;
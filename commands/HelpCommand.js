@@ -0,0 +1,119 @@
+"use strict";
+
+var Command = require('../Command');
+var ParseError = require('../exceptions').ParseError;
+var suggestions = require('../suggestions');
+
+/**
+ * A built-in command that tells the user what the bot can do.
+ *
+ * Lists every command held in a registry with the first line of it's
+ * description, and gives the help of a specific command by delegating
+ * to the command's own help:
+ *     help                    lists every command
+ *     help --category ops     lists the commands of the ops category
+ *     help --search deploy    lists the commands that mention deploy
+ *     help test               gives the help of the test command
+ *     help test from          gives the help of the from parameter of the test command
+ *
+ * The filters use the flags syntax, so that any word after "help", such as the name
+ * of a "search" command, is taken as the command to get help about.
+ *
+ * Since it needs the registry and the dispatcher, it is added to the dispatcher
+ * with them as constructor arguments:
+ *     dispatcher.addCommand(HelpCommand,registry,dispatcher);
+ *     dispatcher.publish(registry);
+ */
+class HelpCommand extends Command {
+    /**
+     * @param {CommandRegistry} registry - the registry that lists the commands.
+     * @param {Dispatcher} dispatcher - Optional. The dispatcher that executes the commands,
+     *        to give their detailed help. Without it, only their description is given.
+     */
+    constructor(registry,dispatcher){
+        super('help');
+        this.registry = registry;
+        this.dispatcher = dispatcher || null;
+        this.addParameter({name: 'command', positional: true, multiple: true, help: 'the command to get help about'});
+        this.addParameter({name: 'category', help: 'the category of the commands to list'});
+        this.addParameter({name: 'search', help: 'a word that the listed commands must contain'});
+        this.syntax = Command.SYNTAX_FLAGS;
+        this.help = "Lists the available commands, or gives the help of one of them";
+        this.examples = ['help', 'help --category ops', 'help --search deploy', 'help test'];
+    }
+
+    run(context){
+        if(typeof context.model.command !== 'undefined'){
+            return this._commandHelp(context.model.command.join(' '),context);
+        }
+
+        return this.registry.list()
+            .then((commands) => {
+                let filteredCommands = commands.filter((command) => matchesFilters(command,context.model));
+                if(filteredCommands.length === 0){
+                    return 'No command matches the given filters';
+                }
+
+                let result = "Available commands:\n";
+                for(let command of filteredCommands){
+                    result += "\t- "+command.name+": "+firstLine(command.description)+"\n";
+                }
+                return result;
+            });
+    }
+
+    /**
+     * Gives the help of the command named at the beginning of the input.
+     * The rest of the input is the name of the parameter to get help about.
+     * @param {string} input - such as "test" or "test from".
+     * @param {InvocationContext} context - the context of the execution of the help command.
+     * @private
+     * @returns {Promise} - with the help of the command.
+     */
+    _commandHelp(input,context){
+        let command = this.dispatcher === null ? null : this.dispatcher.createCommand(input);
+        if(command !== null){
+            return command._help(command.name+' help '+command._stripName(input).trim(),context);
+        }
+
+        return this.registry.get(input)
+            .then((description) => {
+                if(description === null){
+                    return this.registry.list()
+                        .then((commands) => {
+                            let suggestedNames = suggestions.suggest(input,commands.map((command) => command.name));
+                            throw new ParseError('The command ('+input+') does not exist'+suggestions.didYouMean(suggestedNames),{
+                                suggestions: suggestedNames
+                            });
+                        });
+                }
+                return description.name+":\n\t"+description.description;
+            });
+    }
+}
+
+/*
+ * Whether a command description passes the category and search filters of the model.
+ */
+function matchesFilters(command,model){
+    if(typeof model.category !== 'undefined'
+        && (command.category || '').toLowerCase() !== model.category.toLowerCase()){
+        return false;
+    }
+    if(typeof model.search !== 'undefined'){
+        let keyword = model.search.toLowerCase();
+        return command.name.toLowerCase().indexOf(keyword) !== -1
+            || String(command.description).toLowerCase().indexOf(keyword) !== -1;
+    }
+
+    return true;
+}
+
+/*
+ * The first line of a text, to give one-line descriptions.
+ */
+function firstLine(text){
+    return String(text).split("\n")[0];
+}
+
+module.exports = HelpCommand;
@@ -0,0 +1,80 @@
+"use strict";
+
+var Command = require('../Command');
+
+/**
+ * A built-in command that lists the previous executions of the commands,
+ * as recorded in the historyStore of the context, the newest first:
+ *     history                 lists your last commands in the room
+ *     history limit 20        lists your last 20 commands in the room
+ *     history all-rooms       lists your last commands in any room
+ *     history all-users       lists the last commands of everyone in the room
+ *
+ * Since the inputs may hold private data, the all-rooms and all-users parameters
+ * are restricted to the users with one of the given roles, the admin one by default.
+ * The other users only see their own commands in the room.
+ * See the executionHistory module for what is recorded.
+ */
+class HistoryCommand extends Command {
+    /**
+     * @param {Array} roles - Optional. The roles that may list the commands of every room
+     *        and every user. Defaults to ["admin"].
+     */
+    constructor(roles){
+        super('history');
+        roles = roles || DEFAULT_ROLES;
+        this.addParameter({
+            name: 'limit', type: 'integer', default: 10, help: 'how many commands to list',
+            validate: (limit) => limit > 0 || 'must be greater than zero'
+        });
+        this.addParameter({name: 'all-rooms', type: 'boolean', roles: roles, help: 'list the commands of every room'});
+        this.addParameter({name: 'all-users', type: 'boolean', roles: roles, help: 'list the commands of every user'});
+        this.help = "Lists the last commands executed in the room";
+        this.examples = ['history', 'history limit 20', 'history all-rooms', 'history all-users'];
+    }
+
+    run(context){
+        let store = context.historyStore;
+        if(!store){
+            return 'The commands are not being recorded';
+        }
+
+        let allUsers = Boolean(context.model['all-users']);
+        let allRooms = Boolean(context.model['all-rooms']);
+        return store.list({
+            user: allUsers ? null : context.user,
+            room: allRooms ? null : context.room,
+            limit: context.model.limit
+        }).then((entries) => {
+            if(entries.length === 0){
+                return 'No command has been recorded yet';
+            }
+
+            let result = "Last commands:\n";
+            for(let entry of entries){
+                result += "\t- "+describeEntry(entry,allUsers,allRooms)+"\n";
+            }
+            return result;
+        });
+    }
+}
+
+/*
+ * A line that tells when, where and by whom the command was executed, and how it went:
+ *     2016-01-01T10:00:00.000Z alice@ops: deploy app (success, 150ms)
+ */
+function describeEntry(entry,showUser,showRoom){
+    let line = entry.date;
+    if(showUser || showRoom){
+        line += ' ';
+        line += showUser ? (entry.user ? entry.user.name : 'unknown') : '';
+        line += showRoom ? '@'+(entry.room || '') : '';
+    }
+    line += ': '+entry.input+' ('+(entry.error || entry.outcome)+', '+entry.duration+'ms)';
+
+    return line;
+}
+
+const DEFAULT_ROLES = ['admin'];
+
+module.exports = HistoryCommand;
@@ -0,0 +1,50 @@
+"use strict";
+
+var Command = require('../Command');
+
+/**
+ * A built-in command that executes again a previous command of the user
+ * in the room, as recorded in the historyStore of the context:
+ *     last                    executes again your last command
+ *     last 3                  executes again your third to last command
+ *
+ * The executions of the last command itself are skipped. Since it executes the
+ * commands through the dispatcher, it is added to the dispatcher with it as a
+ * constructor argument:
+ *     dispatcher.addCommand(LastCommand,dispatcher);
+ */
+class LastCommand extends Command {
+    /**
+     * @param {Dispatcher} dispatcher - the dispatcher that executes the commands.
+     */
+    constructor(dispatcher){
+        super('last');
+        this.dispatcher = dispatcher;
+        this.addParameter({
+            name: 'position', type: 'integer', positional: true, default: 1,
+            help: 'which of your last commands to execute, 1 being the last one',
+            validate: (position) => position > 0 || 'must be greater than zero'
+        });
+        this.help = "Executes again your last command in the room";
+        this.examples = ['last', 'last 3'];
+    }
+
+    run(context){
+        let store = context.historyStore;
+        if(!store){
+            return 'The commands are not being recorded';
+        }
+
+        return store.list({user: context.user, room: context.room})
+            .then((entries) => {
+                let entry = entries.filter((entry) => entry.command !== this.fullName())[context.model.position-1];
+                if(typeof entry === 'undefined'){
+                    return 'You have no previous command to execute';
+                }
+
+                return this.dispatcher.dispatch(entry.input,context.options());
+            });
+    }
+}
+
+module.exports = LastCommand;
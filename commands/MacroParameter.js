@@ -0,0 +1,43 @@
+"use strict";
+
+var Parameter = require('../Parameter');
+var ParseError = require('../exceptions').ParseError;
+
+/**
+ * The parameter of the alias subcommands, which receives their whole input,
+ * since the expansion of a macro is an input of it's own that must be left
+ * as it is:
+ *     [room] standup = report from yesterday to today     (with the expansion)
+ *     [room] standup                                       (without it)
+ * Puts the scope ("user", unless "room" is given), name and expansion of the
+ * macro in the model.
+ */
+class MacroParameter extends Parameter {
+    /**
+     * @param {Command} command - the command the parameter belongs to.
+     * @param {boolean} withExpansion - whether the expansion must be given.
+     */
+    constructor(command,withExpansion){
+        super('macro',command,true);
+        this.withExpansion = withExpansion;
+        this.help = withExpansion
+            ? {header: '[room] name = expansion', detail: 'The name of the alias, and what it stands for. Add room to define it for everyone in the room'}
+            : {header: '[room] name', detail: 'The name of the alias. Add room for the aliases of the room'};
+    }
+
+    parse(value,context){
+        let pattern = this.withExpansion ? /^(?:(user|room)\s+)?([^\s=]+)\s*=\s*(\S[\s\S]*)$/ : /^(?:(user|room)\s+)?(\S+)$/;
+        let match = pattern.exec(value.trim());
+        if(match === null){
+            throw new ParseError('The alias must be given as: '+this.help.header);
+        }
+
+        context.model.scope = match[1] || 'user';
+        context.model.name = match[2];
+        if(this.withExpansion){
+            context.model.expansion = match[3];
+        }
+    }
+}
+
+module.exports = MacroParameter;
@@ -0,0 +1,39 @@
+"use strict";
+
+var Command = require('../Command');
+var PermissionError = require('../exceptions').PermissionError;
+var keyOf = require('../users').keyOf;
+
+/**
+ * The cancel subcommand of the ScheduleCommand, which cancels a scheduled
+ * command given it's number. Only the user that scheduled it may cancel it.
+ */
+class ScheduleCancelCommand extends Command {
+    /**
+     * @param {Scheduler} scheduler - the scheduler of the commands.
+     */
+    constructor(scheduler){
+        super('cancel');
+        this.scheduler = scheduler;
+        this.addParameter({name: 'id', type: 'integer', positional: true, required: true, help: 'the number of the scheduled command'});
+        this.help = "Cancels a scheduled command";
+    }
+
+    run(context){
+        let id = context.model.id;
+        return this.scheduler.get(id)
+            .then((job) => {
+                if(job === null){
+                    return 'There is no scheduled command #'+id;
+                }
+                if(keyOf(job.user) !== keyOf(context.user)){
+                    throw new PermissionError('You can only cancel the commands you scheduled');
+                }
+
+                return this.scheduler.cancel(id)
+                    .then(() => 'Cancelled #'+id+' ('+job.input+')');
+            });
+    }
+}
+
+module.exports = ScheduleCancelCommand;
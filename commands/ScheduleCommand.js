@@ -0,0 +1,46 @@
+"use strict";
+
+var Command = require('../Command');
+var ScheduleListCommand = require('./ScheduleListCommand');
+var ScheduleCancelCommand = require('./ScheduleCancelCommand');
+
+/**
+ * A built-in command that schedules the execution of other commands, whose
+ * results are posted to the room where they were scheduled:
+ *     schedule "report from yesterday to today" every weekday at 09:00
+ *     schedule "deploy app" in 2h
+ *     schedule list               lists the commands scheduled in the room
+ *     schedule cancel 3           cancels the scheduled command number 3
+ *
+ * The command to schedule must be quoted when it has many words. See the
+ * schedules module for the syntax of the schedules. Since it needs the
+ * scheduler, it is added to the dispatcher with it as a constructor argument:
+ *     dispatcher.addCommand(ScheduleCommand,scheduler);
+ */
+class ScheduleCommand extends Command {
+    /**
+     * @param {Scheduler} scheduler - the scheduler of the commands.
+     */
+    constructor(scheduler){
+        super('schedule');
+        this.scheduler = scheduler;
+        this.addParameter({name: 'command', positional: true, required: true, help: 'the command to execute, between quotes'});
+        this.addParameter({name: 'when', positional: true, required: true, multiple: true, help: {
+            header: 'when to execute it',
+            detail: 'As in "in 2h", "at 09:00", "every 30m", "every weekday at 09:00" or "cron 0 9 * * 1-5"'
+        }});
+        this.addSubcommand(new ScheduleListCommand(scheduler));
+        this.addSubcommand(new ScheduleCancelCommand(scheduler));
+        this.help = "Executes a command later, once or repeatedly";
+        this.examples = ['schedule "report from yesterday to today" every weekday at 09:00', 'schedule "deploy app" in 2h'];
+    }
+
+    run(context){
+        return this.scheduler.schedule(context.model.command,context.model.when.join(' '),{user: context.user, room: context.room})
+            .then((job) => {
+                return 'Scheduled #'+job.id+' ('+job.input+') '+job.when+', next at '+new Date(job.nextRun).toISOString();
+            });
+    }
+}
+
+module.exports = ScheduleCommand;
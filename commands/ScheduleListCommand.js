@@ -0,0 +1,36 @@
+"use strict";
+
+var Command = require('../Command');
+
+/**
+ * The list subcommand of the ScheduleCommand, which lists the commands
+ * scheduled in the room, the next ones first.
+ */
+class ScheduleListCommand extends Command {
+    /**
+     * @param {Scheduler} scheduler - the scheduler of the commands.
+     */
+    constructor(scheduler){
+        super('list');
+        this.scheduler = scheduler;
+        this.help = "Lists the commands scheduled in the room";
+    }
+
+    run(context){
+        return this.scheduler.list({room: context.room})
+            .then((jobs) => {
+                if(jobs.length === 0){
+                    return 'No command is scheduled in this room';
+                }
+
+                let result = "Scheduled commands:\n";
+                for(let job of jobs){
+                    result += "\t- #"+job.id+" "+job.input+" "+job.when+" (next at "+new Date(job.nextRun).toISOString()
+                        +(job.user ? ", by "+job.user.name : "")+")\n";
+                }
+                return result;
+            });
+    }
+}
+
+module.exports = ScheduleListCommand;
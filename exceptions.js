@@ -4,14 +4,19 @@
  * A parse error is thrown when a function discovers that
  * the text passed to it is wrongly written for parsing.
  * Inherits from Error object.
+ * Additional details about the error may be given, which become
+ * attributes of the error, such as the missingParameters array
+ * when required parameters were not given.
  * @param {string} cause - A descriptive cause
+ * @param {object} details - Optional. Additional attributes of the error.
  * @constructor
  */
 class ParseError extends Error {
-    constructor(cause){
+    constructor(cause,details){
         super();
         this.message = cause;
         this.name = 'ParseError';
+        Object.assign(this,details);
     }
 }
 
@@ -19,17 +24,95 @@ class ParseError extends Error {
  * A validation error is thrown when a method tries
  * to validate something but fails.
  * Inherits from Error.
+ * The individual reasons of the failure are held in the errors
+ * attribute, each of them with the following structure:
+ *     {parameter:"parameterName",message:"why it is not valid",value:offendingValue}
+ * The parameter may be null when the reason is not related to a
+ * specific parameter.
  * @param {string} cause - A descriptive cause
+ * @param {Array} errors - Optional. The individual reasons.
  * @constructor
  */
 class ValidationError extends Error {
-    constructor(cause){
+    constructor(cause,errors){
         super();
         this.message = cause;
         this.name = 'ValidationError';
+        this.errors = errors || [];
+    }
+}
+
+/**
+ * A permission error is thrown when the user that executes
+ * a command is not allowed to use it, or to use one of it's
+ * parameters.
+ * Inherits from Error.
+ * @param {string} cause - A descriptive cause
+ * @constructor
+ */
+class PermissionError extends Error {
+    constructor(cause){
+        super();
+        this.message = cause;
+        this.name = 'PermissionError';
+    }
+}
+
+/**
+ * A rate limit error is thrown when the user that executes
+ * a command has used it too often, and must wait before
+ * using it again.
+ * Inherits from Error.
+ * @param {string} cause - A descriptive cause
+ * @param {number} retryAfter - The milliseconds to wait before trying again.
+ * @constructor
+ */
+class RateLimitError extends Error {
+    constructor(cause,retryAfter){
+        super();
+        this.message = cause;
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * A timeout error is thrown when a command takes longer to
+ * run than it's timeout.
+ * Inherits from Error.
+ * @param {string} cause - A descriptive cause
+ * @param {number} timeout - The milliseconds the command was given.
+ * @constructor
+ */
+class TimeoutError extends Error {
+    constructor(cause,timeout){
+        super();
+        this.message = cause;
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * A cancellation error is thrown when the execution of a
+ * command is cancelled before it finishes, such as by the
+ * user that started it.
+ * Inherits from Error.
+ * @param {string} cause - A descriptive cause
+ * @constructor
+ */
+class CancellationError extends Error {
+    constructor(cause){
+        super();
+        this.message = cause;
+        this.name = 'CancellationError';
     }
 }
 
 
 exports.ParseError = ParseError;
-exports.ValidationError = ValidationError;
\ No newline at end of file
+exports.ValidationError = ValidationError;
+exports.PermissionError = PermissionError;
+exports.RateLimitError = RateLimitError;
+exports.TimeoutError = TimeoutError;
+exports.CancellationError = CancellationError;
\ No newline at end of file
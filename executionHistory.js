@@ -0,0 +1,111 @@
+"use strict";
+
+var Promise = require('bluebird');
+var keyOf = require('./users.js').keyOf;
+
+/**
+ * Records the executions of the commands in the historyStore of their context,
+ * to know who ran what, when, and what the outcome was. See the history folder
+ * for the stores.
+ *
+ * Each execution is recorded once it ends, as an entry with the attributes:
+ *  - input {string}: the input as written by the user, subcommands included.
+ *  - command {string}: the full name of the executed command.
+ *  - user {object}: the id and name of the user, or null.
+ *  - room {string}: the room where the input was written, or null.
+ *  - model {object}: the parsed model, as serialized in JSON.
+ *  - outcome {string}: "success", "error", "cancelled" when the user declined a
+ *    confirmation, answered it with another input or cancelled a prompt, or "expired"
+ *    when the user did not answer in time.
+ *  - error {string}: the name of the error, such as "ParseError", or null.
+ *  - message {string}: the message of the error, or null.
+ *  - date {string}: when the execution started, in ISO 8601.
+ *  - duration {number}: the milliseconds that the execution took.
+ *
+ * The executions that end asking the user a question, such as a confirmation,
+ * are recorded once the user answers it, or once the question is found expired,
+ * which is the next time the user writes in the room. See ConversationStore.
+ */
+
+/**
+ * Records the end of an execution. The failures of the store are logged
+ * through the robot of the context, if any, but do not fail the execution.
+ * @param {InvocationContext} context - the context of the execution.
+ * @param {string} outcome - one of the OUTCOMES.
+ * @param {Error} error - Optional. The error the execution failed with.
+ * @returns {Promise} - for when the entry is recorded.
+ */
+function record(context,outcome,error){
+    let store = context.historyStore;
+    if(!store){
+        return Promise.resolve();
+    }
+
+    return Promise.try(() => store.add(createEntry(context,outcome,error)))
+        .catch((storeError) => {
+            if(context.robot && context.robot.logger){
+                context.robot.logger.error('The execution of '+context.command.fullName()+' could not be recorded: '+storeError.message);
+            }
+        });
+}
+
+/**
+ * Selects the entries that match a filter, for the stores to implement their list method.
+ * @param {Array} entries - the entries, the newest first.
+ * @param {object} filter - Optional. See the list method of the stores.
+ * @returns {Array} - the matching entries, the newest first.
+ */
+function filterEntries(entries,filter){
+    filter = filter || {};
+    let userKey = typeof filter.user === 'undefined' || filter.user === null ? null : keyOf(filter.user);
+    let result = entries.filter((entry) => {
+        return (userKey === null || keyOf(entry.user) === userKey)
+            && (typeof filter.room === 'undefined' || filter.room === null || entry.room === filter.room)
+            && (typeof filter.command === 'undefined' || filter.command === null || entry.command === filter.command);
+    });
+
+    return typeof filter.limit === 'number' ? result.slice(0,filter.limit) : result;
+}
+
+function createEntry(context,outcome,error){
+    let startedAt = context.startedAt;
+    let user = context.user ? {id: context.user.id || null, name: context.user.name || null} : null;
+    return {
+        input: fullInput(context),
+        command: context.command.fullName(),
+        user: user,
+        room: context.room,
+        model: serialize(context.model),
+        outcome: outcome,
+        error: error ? error.name || 'Error' : null,
+        message: error ? error.message : null,
+        date: new Date(startedAt).toISOString(),
+        duration: Date.now()-startedAt
+    };
+}
+
+/*
+ * The input of a subcommand lacks the names of it's parents, which are
+ * given back so that the input can be dispatched again.
+ */
+function fullInput(context){
+    let parent = context.command.parent;
+    return parent ? parent.fullName()+' '+context.input : context.input;
+}
+
+/*
+ * A copy of the model that any store can keep, which cannot be modified by the command.
+ */
+function serialize(model){
+    try {
+        return JSON.parse(JSON.stringify(model));
+    } catch(error){
+        return null;
+    }
+}
+
+const OUTCOMES = ['success','error','cancelled','expired'];
+
+exports.record = record;
+exports.filterEntries = filterEntries;
+exports.OUTCOMES = OUTCOMES;
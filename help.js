@@ -0,0 +1,226 @@
+"use strict";
+
+/**
+ * Renders the help of commands and parameters in the different
+ * output formats supported by the library:
+ *  - text: plain text, the default.
+ *  - markdown: for adapters that render markdown.
+ *  - slack: a message object with a Slack like attachment, for adapters
+ *    that send structured messages as they are.
+ *
+ * The renderers work on the descriptions given by Command.describe and
+ * Parameter.describe, so that they don't depend on the command classes.
+ */
+
+/**
+ * Renders the general help of a command.
+ * @param {object} description - the description of the command, as given by Command.describe.
+ * @param {string} format - one of the FORMATS. Defaults to text.
+ * @returns {string|object} - the rendered help. An object for the slack format.
+ */
+function renderCommand(description,format){
+    return getRenderer(format).command(description);
+}
+
+/**
+ * Renders the detailed help of a parameter.
+ * @param {object} description - the description of the parameter, as given by Parameter.describe.
+ * @param {string} format - one of the FORMATS. Defaults to text.
+ * @returns {string|object} - the rendered help. An object for the slack format.
+ */
+function renderParameter(description,format){
+    return getRenderer(format).parameter(description);
+}
+
+/**
+ * Renders the detailed help of a subcommand, when asked through it's parent.
+ * @param {object} description - the description of the subcommand, as given by Command.describe.
+ * @param {string} format - one of the FORMATS. Defaults to text.
+ * @returns {string|object} - the rendered help. An object for the slack format.
+ */
+function renderSubcommand(description,format){
+    return getRenderer(format).subcommand(description);
+}
+
+function getRenderer(format){
+    let renderer = RENDERERS[format || 'text'];
+    if(typeof renderer === 'undefined'){
+        throw new Error('The help format ('+format+') does not exist');
+    }
+
+    return renderer;
+}
+
+/*
+ * The plain text renderer.
+ */
+var textRenderer = {
+    command: (description) => {
+        let result = description.description;
+        result += "\n\nUsage: "+description.usage+"\n";
+        if(hasAliases(description)){
+            result += "Aliases: "+description.aliases.join(', ')+"\n";
+        }
+        if(description.parameters.length > 0){
+            result += "\nParameters:\n";
+            for(let parameter of description.parameters){
+                result += "\t- "+parameter.name+describeAliases(parameter)+": "+parameter.header+"\n";
+            }
+        }
+        if(description.subcommands.length > 0){
+            result += "\nSubcommands:\n";
+            for(let subcommand of description.subcommands){
+                result += "\t- "+subcommand.name+": "+subcommand.description+"\n";
+            }
+        }
+        if(description.examples.length > 0){
+            result += "\nExamples:\n";
+            for(let example of description.examples){
+                result += "\t"+example+"\n";
+            }
+        }
+
+        return result;
+    },
+    parameter: (description) => description.name + describeAliases(description) + ":\n\t" + description.detail,
+    subcommand: (description) => description.name + ":\n\t" + description.description
+};
+
+/*
+ * The markdown renderer.
+ */
+var markdownRenderer = {
+    command: (description) => {
+        let lines = [
+            "**"+description.name+"**: "+description.description,
+            "",
+            "`"+description.usage+"`"
+        ];
+        if(hasAliases(description)){
+            lines.push("","Aliases: "+description.aliases.map((alias) => "`"+alias+"`").join(', '));
+        }
+        if(description.parameters.length > 0){
+            lines.push("","**Parameters**");
+            for(let parameter of description.parameters){
+                lines.push("- `"+parameter.name+"`"+describeAliases(parameter)+" "+parameter.header);
+            }
+        }
+        if(description.subcommands.length > 0){
+            lines.push("","**Subcommands**");
+            for(let subcommand of description.subcommands){
+                lines.push("- `"+subcommand.name+"` "+subcommand.description);
+            }
+        }
+        if(description.examples.length > 0){
+            lines.push("","**Examples**");
+            for(let example of description.examples){
+                lines.push("- `"+example+"`");
+            }
+        }
+
+        return lines.join("\n")+"\n";
+    },
+    parameter: (description) => {
+        let result = "**"+description.name+"**"+describeAliases(description)+" `"+description.value+"`";
+        result += description.required ? " (required)" : "";
+        result += description.default !== null ? " (default: "+description.default+")" : "";
+        return result+"\n\n"+description.detail;
+    },
+    subcommand: (description) => "**"+description.name+"**: "+description.description+"\n\n`"+description.usage+"`"
+};
+
+/*
+ * The Slack attachments renderer.
+ */
+var slackRenderer = {
+    command: (description) => {
+        let fields = [{title: 'Usage', value: "`"+description.usage+"`", short: false}];
+        if(hasAliases(description)){
+            fields.push({title: 'Aliases', value: description.aliases.join(', '), short: true});
+        }
+        if(description.parameters.length > 0){
+            fields.push({
+                title: 'Parameters',
+                value: description.parameters
+                    .map((parameter) => "• `"+parameter.name+"`"+describeAliases(parameter)+" "+parameter.header)
+                    .join("\n"),
+                short: false
+            });
+        }
+        if(description.subcommands.length > 0){
+            fields.push({
+                title: 'Subcommands',
+                value: description.subcommands.map((subcommand) => "• `"+subcommand.name+"` "+subcommand.description).join("\n"),
+                short: false
+            });
+        }
+        if(description.examples.length > 0){
+            fields.push({
+                title: 'Examples',
+                value: description.examples.map((example) => "`"+example+"`").join("\n"),
+                short: false
+            });
+        }
+
+        return createSlackMessage(description.name,description.description,fields,textRenderer.command(description));
+    },
+    parameter: (description) => {
+        let fields = [
+            {title: 'Type', value: "`"+description.value+"`", short: true},
+            {title: 'Required', value: description.required ? 'yes' : 'no', short: true}
+        ];
+        if(description.default !== null){
+            fields.push({title: 'Default', value: description.default, short: true});
+        }
+        if(hasAliases(description)){
+            fields.push({title: 'Aliases', value: description.aliases.join(', '), short: true});
+        }
+
+        return createSlackMessage(description.name,description.detail,fields,textRenderer.parameter(description));
+    },
+    subcommand: (description) => {
+        let fields = [{title: 'Usage', value: "`"+description.usage+"`", short: false}];
+        return createSlackMessage(description.name,description.description,fields,textRenderer.subcommand(description));
+    }
+};
+
+/*
+ * Whether a command or parameter description has aliases. The descriptions
+ * made before the aliases existed may not have the attribute.
+ */
+function hasAliases(description){
+    return Array.isArray(description.aliases) && description.aliases.length > 0;
+}
+
+/*
+ * The aliases of a description to show after it's name, such as " (since, start)".
+ */
+function describeAliases(description){
+    return hasAliases(description) ? " ("+description.aliases.join(', ')+")" : "";
+}
+
+function createSlackMessage(title,text,fields,fallback){
+    return {
+        text: '',
+        attachments: [{
+            fallback: fallback,
+            title: title,
+            text: text,
+            fields: fields,
+            mrkdwn_in: ['text','fields']
+        }]
+    };
+}
+
+const RENDERERS = {
+    text: textRenderer,
+    markdown: markdownRenderer,
+    slack: slackRenderer
+};
+
+const FORMATS = Object.keys(RENDERERS);
+
+exports.renderCommand = renderCommand;
+exports.renderParameter = renderParameter;
+exports.renderSubcommand = renderSubcommand;
+exports.FORMATS = FORMATS;
@@ -0,0 +1,47 @@
+"use strict";
+
+var fs = require('fs');
+var Promise = require('bluebird');
+var filterEntries = require('../executionHistory').filterEntries;
+
+var appendFile = Promise.promisify(fs.appendFile);
+var readFile = Promise.promisify(fs.readFile);
+
+/**
+ * A history store that appends the entries to a file, one JSON object per
+ * line (JSON Lines), which makes the file an audit log that other tools can
+ * read too. The file is never truncated.
+ *
+ * See MemoryHistoryStore for the description of the interface.
+ */
+class FileHistoryStore {
+    /**
+     * @param {string} path - the path of the file, which is created if it does not exist.
+     */
+    constructor(path){
+        this.path = path;
+    }
+
+    add(entry){
+        return appendFile(this.path,JSON.stringify(entry)+'\n');
+    }
+
+    list(filter){
+        return readFile(this.path,'utf8')
+            .catch((error) => {
+                if(error.code === 'ENOENT'){
+                    return '';
+                }
+                throw error;
+            })
+            .then((content) => {
+                let entries = content.split('\n')
+                    .filter((line) => line.trim() !== '')
+                    .map((line) => JSON.parse(line))
+                    .reverse();
+                return filterEntries(entries,filter);
+            });
+    }
+}
+
+module.exports = FileHistoryStore;
@@ -0,0 +1,43 @@
+"use strict";
+
+var Promise = require('bluebird');
+var filterEntries = require('../executionHistory').filterEntries;
+
+/**
+ * A history store that keeps the entries in memory, so they are lost
+ * when the application is restarted. Only the newest entries are kept.
+ *
+ * A history store keeps the entries recorded by the executionHistory module, and
+ * implements the following methods:
+ *  - add(entry): stores an entry. Returns a promise for when it is stored.
+ *  - list(filter): gives a promise with the stored entries, the newest first.
+ *    The filter is an object with the optional attributes user (the user, as
+ *    given by hubot), room, command (it's full name) and limit (the maximum
+ *    number of entries to give).
+ */
+class MemoryHistoryStore {
+    /**
+     * @param {object} options - Optional. The available options are:
+     *  - maxEntries {number}: how many entries to keep. Defaults to 1000.
+     */
+    constructor(options){
+        options = Object.assign({maxEntries: 1000}, options);
+        this.maxEntries = options.maxEntries;
+        this.entries = [];
+    }
+
+    add(entry){
+        this.entries.unshift(entry);
+        if(this.entries.length > this.maxEntries){
+            this.entries.length = this.maxEntries;
+        }
+
+        return Promise.resolve();
+    }
+
+    list(filter){
+        return Promise.resolve(filterEntries(this.entries,filter));
+    }
+}
+
+module.exports = MemoryHistoryStore;
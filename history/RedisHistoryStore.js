@@ -0,0 +1,46 @@
+"use strict";
+
+var Redis = require('ioredis');
+var Promise = require('bluebird');
+var filterEntries = require('../executionHistory').filterEntries;
+
+/**
+ * A history store that keeps the entries in a redis list, so that they are
+ * shared by every instance of the application. The entries are pushed to
+ * the head of the list, which is trimmed to keep only the newest ones.
+ *
+ * See MemoryHistoryStore for the description of the interface.
+ */
+class RedisHistoryStore {
+    /**
+     * @param {Redis} redis - Optional. The ioredis client to use. By default
+     *        a client to the local redis server is created.
+     * @param {object} options - Optional. The available options are:
+     *  - key {string}: the key of the list. Defaults to "hubot-commands.history".
+     *  - maxEntries {number}: how many entries to keep. Defaults to 1000.
+     */
+    constructor(redis,options){
+        options = Object.assign({key: HISTORY_KEY, maxEntries: 1000}, options);
+        this.redis = redis || new Redis();
+        this.key = options.key;
+        this.maxEntries = options.maxEntries;
+    }
+
+    add(entry){
+        return Promise.resolve(this.redis.lpush(this.key,JSON.stringify(entry)))
+            .then(() => this.redis.ltrim(this.key,0,this.maxEntries-1))
+            .then(() => {
+                //We do not want to expose the redis result
+                return;
+            });
+    }
+
+    list(filter){
+        return Promise.resolve(this.redis.lrange(this.key,0,-1))
+            .then((values) => filterEntries(values.map((value) => JSON.parse(value)),filter));
+    }
+}
+
+const HISTORY_KEY = 'hubot-commands.history';
+
+module.exports = RedisHistoryStore;
@@ -1,70 +1,91 @@
 /**
- * Represents a command to be parsed by hubot.
- * The command has a name and has parameters.
- * This is the abstract class. A subclass must implement
- * the command methods, including defining it's parameters
- * and the optional validation method.
+ * The entry point of the library, which gathers the classes and modules to write
+ * commands for hubot and execute them.
  *
- * Once subclassed, the intended use of a Command is by using
- * it's execute method, which takes a command string as written
- * by a client and performs validation and execution of the
- * actions it's programmed to do.
- * example:
- *     testCommand.execute('test from 2015 to 2016');
- * The execute function must return a promise with the result of
- * the command.
- *     testCommand.execute('test from 2015 to 2016')
- *         .then(function(result){ //result may be any type of object
- *             chat.send('Your command was executed: '+result);
- *         })
- *         .catch(ParseError,ValidationError,function(error){
- *             chat.send('Your command could not be executed: '+error.message);
- *         });
+ * A command is a subclass of Command, which declares it's parameters in it's
+ * constructor, either as configuration objects for the built-in types (see
+ * parameterTypes) or as subclasses of Parameter, and implements the run method:
+ *     class TestCommand extends Command {
+ *         constructor(){
+ *             super('test');
+ *             this.addParameter({name: 'from', type: 'date', required: true});
+ *             this.addParameter(new ToParameter(this));
+ *         }
  *
- * If you just want to see if the command is valid without performing the actual
- * action, you can use the parse method.
- * example:
- *     testCommand.parse('test from 2015 to 2016')
- *         .then(function(model){
- *             // parse gives the modified model as a result for testing purposes
- *             chat.send('The given input was a valid command');
+ *         run(context){
+ *             return 'from '+context.model.from+' to '+context.model.to;
+ *         }
+ *     }
+ * The execute method parses the input as written by a user, validates it and runs
+ * the command, and gives a promise of the result:
+ *     new TestCommand().execute('test from 2015 to 2016')
+ *         .then(function(result){
+ *             chat.send(result);
  *         })
  *         .catch(ParseError,ValidationError,function(error){
- *             chat.send('The given input could not be parsed: '+error.message);
+ *             chat.send('Your command could not be executed: '+error.message);
  *         });
  *
- * This base class takes care of the parameter value delivery, so that the user can
- * "just" create the parameters, which will implement their parse operation upon
- * values received by the command, and use those created parameters in the Command
- * subclass constructor, like so:
- *     function TestCommand(){
- *         Command.call(this,'test');
- *         this.addParameter(new FromParameter());
- *         this.addParameter(new ToParameter());
- *     }
- *     TestCommand.prototype = Object.create(Command.prototype);
- * Where FromParameter is defined like so:
- *     function FromParameter(command){
- *         Parameter.call(this,'from',command);
- *     }
- *     FromParameter.prototype = Object.create(Parameter.prototype);
- *
- *     FromParameter.prototype.parse = function(parameterValueText){
- *         if(typeof parameterValueText === "undefined" || parameterValueText !== '') {
- *             throw new ParseError('the "from" parameter cannot be empty');
- *         }
- *         this.getModel().from = new Date(parameterValueText);
- *     }
+ * The commands are usually given to a Dispatcher, which selects the command that
+ * matches each input, or to registerWithRobot, which does the wiring with hubot:
+ *     registerWithRobot(robot,[TestCommand,HelpCommand],{reply: true});
  *
- * See the test folder for a thorough example.
+ * The rest of the exports are:
+ *  - the stores the Dispatcher may be given: the storage backends, the conversations,
+ *    the rate limits, the running executions, the history, the macros and the role
+ *    providers.
+ *  - the Scheduler of the commands executed later on, and the CommandRegistry that
+ *    keeps the descriptions of the commands.
+ *  - the built-in commands: help, cancel, history, last, schedule and alias.
+ *  - the helper modules: parameterTypes, suggestions, schedules and users.
+ *  - the errors the executions may fail with.
  *
+ * See the README and the test folder for thorough examples.
  */
 
 var Command = require('./Command');
 var Parameter = require('./Parameter');
+var Dispatcher = require('./Dispatcher');
+var CommandRegistry = require('./CommandRegistry');
+var parameterTypes = require('./parameters');
 var exceptions = require('./exceptions');
+var robot = require('./robot');
 
 exports.Command = Command;
 exports.Parameter = Parameter;
+exports.Dispatcher = Dispatcher;
+exports.CommandRegistry = CommandRegistry;
+exports.parameterTypes = parameterTypes;
+exports.TypedParameter = parameterTypes.TypedParameter;
+exports.MemoryStorage = require('./storage/MemoryStorage');
+exports.RedisStorage = require('./storage/RedisStorage');
+exports.BrainStorage = require('./storage/BrainStorage');
+exports.ConversationStore = require('./ConversationStore');
+exports.Question = require('./Question');
+exports.MemoryRateLimitStore = require('./ratelimit/MemoryRateLimitStore');
+exports.RedisRateLimitStore = require('./ratelimit/RedisRateLimitStore');
+exports.CancellationToken = require('./CancellationToken');
+exports.RunningExecutions = require('./RunningExecutions');
+exports.Scheduler = require('./Scheduler');
+exports.MacroStore = require('./MacroStore');
+exports.MemoryHistoryStore = require('./history/MemoryHistoryStore');
+exports.FileHistoryStore = require('./history/FileHistoryStore');
+exports.RedisHistoryStore = require('./history/RedisHistoryStore');
+exports.HelpCommand = require('./commands/HelpCommand');
+exports.CancelCommand = require('./commands/CancelCommand');
+exports.HistoryCommand = require('./commands/HistoryCommand');
+exports.LastCommand = require('./commands/LastCommand');
+exports.ScheduleCommand = require('./commands/ScheduleCommand');
+exports.AliasCommand = require('./commands/AliasCommand');
+exports.StaticRoleProvider = require('./roles/StaticRoleProvider');
+exports.BrainRoleProvider = require('./roles/BrainRoleProvider');
+exports.registerWithRobot = robot.registerWithRobot;
+exports.suggestions = require('./suggestions');
+exports.schedules = require('./schedules');
+exports.users = require('./users');
 exports.ParseError = exceptions.ParseError;
 exports.ValidationError = exceptions.ValidationError;
+exports.PermissionError = exceptions.PermissionError;
+exports.RateLimitError = exceptions.RateLimitError;
+exports.TimeoutError = exceptions.TimeoutError;
+exports.CancellationError = exceptions.CancellationError;
@@ -0,0 +1,42 @@
+"use strict";
+
+var TypedParameter = require('./TypedParameter');
+
+/**
+ * A parameter that converts the value to a boolean.
+ * Accepts yes/no, true/false, on/off and 1/0, in any case.
+ * Boolean parameters are flags unless configured with flag:false, which
+ * means that giving them without a value (--notify in the flags syntax, or
+ * just notify in the keyword one) sets them to true.
+ */
+class BooleanParameter extends TypedParameter {
+    constructor(command,config){
+        super(command,config);
+        this.flag = config.flag !== false;
+    }
+
+    parse(value,context){
+        if(this.flag && (typeof value === 'undefined' || value === '')){
+            value = 'yes';
+        }
+
+        super.parse(value,context);
+    }
+
+    convert(value){
+        let normalizedValue = value.toLowerCase();
+        if(TRUE_VALUES.indexOf(normalizedValue) !== -1){
+            return true;
+        }
+        if(FALSE_VALUES.indexOf(normalizedValue) !== -1){
+            return false;
+        }
+
+        this.fail('yes or no',value);
+    }
+}
+
+const TRUE_VALUES = ['yes','true','on','1'];
+const FALSE_VALUES = ['no','false','off','0'];
+
+module.exports = BooleanParameter;
@@ -0,0 +1,21 @@
+"use strict";
+
+var TypedParameter = require('./TypedParameter');
+
+/**
+ * A parameter that converts the value to a Date.
+ * Any format understood by the Date constructor is accepted, although
+ * ISO8601 is the one that should be advertised to the users.
+ */
+class DateParameter extends TypedParameter {
+    convert(value){
+        let date = new Date(value);
+        if(isNaN(date.getTime())){
+            this.fail('a date',value);
+        }
+
+        return date;
+    }
+}
+
+module.exports = DateParameter;
@@ -0,0 +1,61 @@
+"use strict";
+
+var TypedParameter = require('./TypedParameter');
+
+/**
+ * A parameter that converts a duration to milliseconds.
+ * A duration is a sequence of amounts followed by their unit, as in
+ * "90s", "1h30m" or "2 hours 15 minutes". The accepted units are
+ * ms, s, m, h, d and w, and their long names (seconds, minutes...).
+ */
+class DurationParameter extends TypedParameter {
+    convert(value){
+        let duration = parseDuration(value);
+        if(duration === null){
+            this.fail('a duration such as 1h30m',value);
+        }
+
+        return duration;
+    }
+}
+
+/**
+ * Converts a duration text to milliseconds.
+ * @param {string} text - the duration, as in "1h30m".
+ * @returns {number} - the milliseconds, or null if the text is not a duration.
+ */
+function parseDuration(text){
+    let normalizedText = text.toLowerCase().replace(/\s+/g,'');
+    let durationPattern = /(\d+(?:\.\d+)?)([a-z]+)/g;
+    let duration = 0;
+    let consumed = 0;
+    let match;
+    while((match = durationPattern.exec(normalizedText)) !== null){
+        let unit = UNITS[match[2]];
+        if(match.index !== consumed || typeof unit === 'undefined'){
+            return null;
+        }
+        duration += parseFloat(match[1]) * unit;
+        consumed += match[0].length;
+    }
+
+    return consumed > 0 && consumed === normalizedText.length ? Math.round(duration) : null;
+}
+
+const SECOND = 1000;
+const MINUTE = 60*SECOND;
+const HOUR = 60*MINUTE;
+const DAY = 24*HOUR;
+const WEEK = 7*DAY;
+const UNITS = {
+    ms: 1, millisecond: 1, milliseconds: 1,
+    s: SECOND, sec: SECOND, secs: SECOND, second: SECOND, seconds: SECOND,
+    m: MINUTE, min: MINUTE, mins: MINUTE, minute: MINUTE, minutes: MINUTE,
+    h: HOUR, hr: HOUR, hrs: HOUR, hour: HOUR, hours: HOUR,
+    d: DAY, day: DAY, days: DAY,
+    w: WEEK, week: WEEK, weeks: WEEK
+};
+
+DurationParameter.parseDuration = parseDuration;
+
+module.exports = DurationParameter;
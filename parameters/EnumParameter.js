@@ -0,0 +1,36 @@
+"use strict";
+
+var TypedParameter = require('./TypedParameter');
+
+/**
+ * A parameter whose value must be one of a list of values.
+ * The comparison is case insensitive, and the value stored in the model
+ * is the one as written in the configuration.
+ * Additional configuration:
+ *  - values {Array}: the list of accepted values. Mandatory.
+ */
+class EnumParameter extends TypedParameter {
+    constructor(command,config){
+        super(command,config);
+        if(!Array.isArray(config.values) || config.values.length === 0){
+            throw new Error('the "'+config.name+'" enum parameter needs a list of values');
+        }
+    }
+
+    convert(value){
+        let normalizedValue = value.toLowerCase();
+        for(let acceptedValue of this.config.values){
+            if(String(acceptedValue).toLowerCase() === normalizedValue){
+                return acceptedValue;
+            }
+        }
+
+        this.fail('one of '+this.config.values.join(', '),value);
+    }
+
+    valueDescription(){
+        return '<'+this.config.values.join('|')+'>';
+    }
+}
+
+module.exports = EnumParameter;
@@ -0,0 +1,19 @@
+"use strict";
+
+var NumberParameter = require('./NumberParameter');
+
+/**
+ * A parameter that converts the value to an integer Number.
+ * Accepts the same additional configuration as the NumberParameter.
+ */
+class IntegerParameter extends NumberParameter {
+    toNumber(value){
+        if(!/^[-+]?\d+$/.test(value)){
+            this.fail('an integer',value);
+        }
+
+        return parseInt(value,10);
+    }
+}
+
+module.exports = IntegerParameter;
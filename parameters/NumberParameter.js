@@ -0,0 +1,39 @@
+"use strict";
+
+var TypedParameter = require('./TypedParameter');
+
+/**
+ * A parameter that converts the value to a Number.
+ * Additional configuration:
+ *  - min {number}: Optional. The minimum value accepted.
+ *  - max {number}: Optional. The maximum value accepted.
+ */
+class NumberParameter extends TypedParameter {
+    convert(value){
+        let number = this.toNumber(value);
+        if(typeof this.config.min === 'number' && number < this.config.min){
+            this.fail('a number not lower than '+this.config.min,value);
+        }
+        if(typeof this.config.max === 'number' && number > this.config.max){
+            this.fail('a number not greater than '+this.config.max,value);
+        }
+
+        return number;
+    }
+
+    /**
+     * Converts the text value to a number, without checking the limits.
+     * @param {string} value - the text value.
+     * @returns {number}
+     */
+    toNumber(value){
+        let number = Number(value);
+        if(value.trim() === '' || !isFinite(number)){
+            this.fail('a number',value);
+        }
+
+        return number;
+    }
+}
+
+module.exports = NumberParameter;
@@ -0,0 +1,20 @@
+"use strict";
+
+var TypedParameter = require('./TypedParameter');
+
+/**
+ * A parameter that keeps the text value as is.
+ * Additional configuration:
+ *  - pattern {RegExp}: Optional. A pattern the value must match.
+ */
+class StringParameter extends TypedParameter {
+    convert(value){
+        if(this.config.pattern && !this.config.pattern.test(value)){
+            this.fail('a value matching '+this.config.pattern,value);
+        }
+
+        return value;
+    }
+}
+
+module.exports = StringParameter;
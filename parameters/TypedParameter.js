@@ -0,0 +1,118 @@
+"use strict";
+
+var Parameter = require('../Parameter');
+var ParseError = require('../exceptions').ParseError;
+
+/**
+ * Base class of the built-in typed parameters.
+ *
+ * A typed parameter is configured declaratively instead of being subclassed
+ * for each command. It converts the text value it receives to it's type, and
+ * stores the converted value in the model of the execution under the name of
+ * the parameter. The configuration object has the following attributes:
+ *  - name {string}: the name of the parameter. Mandatory.
+ *  - type {string}: the name of the type, used by the parameter types factory.
+ *  - help {string|object}: either the help.header of the parameter, or an
+ *    object with the header and detail attributes.
+ *  - required, default, multiple: see Parameter. When the parameter is multiple,
+ *    the model holds an array with every converted value.
+ *  - positional, flag, aliases, prompt, pipe: see Parameter.
+ *  - short {string}: the shortName of the parameter, see Parameter.
+ *  - validate {function}: Optional. Receives the converted value and the context,
+ *    and returns the same as Parameter.validate.
+ *  - roles {Array}: see Parameter.
+ *  - authorize {function}: Optional. Receives the context and the roles of the user,
+ *    and returns the same as Parameter.authorize.
+ * Each type may accept additional attributes, see their documentation.
+ *
+ * Subclasses only have to implement the convert method, and may use the fail
+ * method to throw ParseErrors with consistent messages.
+ */
+class TypedParameter extends Parameter {
+    /**
+     * @param {Command} command - the command the parameter belongs to.
+     * @param {object} config - the configuration of the parameter.
+     */
+    constructor(command,config){
+        super(config.name,command);
+        this.config = config;
+        this.required = Boolean(config.required);
+        this.default = config.default;
+        this.multiple = Boolean(config.multiple);
+        this.positional = Boolean(config.positional);
+        this.shortName = config.short || null;
+        this.flag = Boolean(config.flag);
+        this.type = config.type || 'string';
+        this.roles = config.roles || [];
+        this.aliases = config.aliases || [];
+        this.prompt = config.prompt || null;
+        this.pipe = Boolean(config.pipe);
+        if(typeof config.help === 'string'){
+            this.help.header = config.help;
+        } else if(typeof config.help === 'object' && config.help !== null){
+            Object.assign(this.help,config.help);
+        }
+    }
+
+    /**
+     * Converts the value and stores it in the model of the context.
+     * @param {string} value - the text value given to the parameter.
+     * @param {InvocationContext} context - the context of the execution.
+     * @throws {ParseError} - when the value is empty or cannot be converted.
+     */
+    parse(value,context){
+        if(typeof value === 'undefined' || value === '') {
+            throw new ParseError('the "'+this.name+'" parameter cannot be empty');
+        }
+
+        let convertedValue = this.convert(value);
+        if(this.multiple){
+            let values = context.model[this.name] || [];
+            values.push(convertedValue);
+            convertedValue = values;
+        }
+
+        context.model[this.name] = convertedValue;
+    }
+
+    /**
+     * Delegates the validation to the validate function of the configuration.
+     * @param {*} value - the converted value.
+     * @param {InvocationContext} context - the context of the execution.
+     * @returns {boolean|string} - see Parameter.validate.
+     */
+    validate(value,context){
+        return typeof this.config.validate === 'function' ? this.config.validate(value,context) : true;
+    }
+
+    /**
+     * Delegates the authorization to the authorize function of the configuration.
+     * @param {InvocationContext} context - the context of the execution.
+     * @param {Array} roles - the roles of the user.
+     * @returns {boolean|Promise} - see Parameter.authorize.
+     */
+    authorize(context,roles){
+        return typeof this.config.authorize === 'function' ? this.config.authorize(context,roles) : true;
+    }
+
+    /**
+     * Converts the text value to the type of the parameter.
+     * To be implemented by subclasses.
+     * @param {string} value - the text value, never empty.
+     * @returns {*} - the converted value.
+     * @throws {ParseError} - when the value cannot be converted.
+     */
+    convert(){throw new Error("the convert method must be implemented by TypedParameter subclasses");}
+
+    /**
+     * Throws a ParseError explaining that the value is not what was expected.
+     * @param {string} expectation - what the parameter expects, as in "a date".
+     * @param {string} value - the offending value.
+     * @throws {ParseError} - always.
+     */
+    fail(expectation,value){
+        throw new ParseError('the "'+this.name+'" parameter expects '+expectation+', got "'+value+'"');
+    }
+}
+
+module.exports = TypedParameter;
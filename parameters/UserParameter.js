@@ -0,0 +1,32 @@
+"use strict";
+
+var TypedParameter = require('./TypedParameter');
+
+/**
+ * A parameter that holds the name of a chat user.
+ * The leading "@" of mentions is removed.
+ * Additional configuration:
+ *  - robot {Robot}: Optional. If given, the user must be known by the
+ *    brain of the robot, and the model receives the brain's user object
+ *    instead of the name.
+ */
+class UserParameter extends TypedParameter {
+    convert(value){
+        let userName = value.replace(/^@/,'');
+        if(!/^\S+$/.test(userName)){
+            this.fail('a user name',value);
+        }
+
+        let result = userName;
+        if(this.config.robot){
+            result = this.config.robot.brain.userForName(userName);
+            if(!result){
+                this.fail('a known user',value);
+            }
+        }
+
+        return result;
+    }
+}
+
+module.exports = UserParameter;
@@ -0,0 +1,65 @@
+"use strict";
+
+var Parameter = require('../Parameter');
+
+/**
+ * The factory of the built-in typed parameters.
+ *
+ * Allows a Command to declare it's parameters with a configuration
+ * object instead of subclassing Parameter, as in:
+ *     this.addParameter({name:'from', type:'date', help:'when to start'});
+ * The available types are string, date, number, integer, boolean, enum,
+ * duration and user. New types can be added with registerType.
+ */
+var types = {
+    string: require('./StringParameter'),
+    date: require('./DateParameter'),
+    number: require('./NumberParameter'),
+    integer: require('./IntegerParameter'),
+    boolean: require('./BooleanParameter'),
+    enum: require('./EnumParameter'),
+    duration: require('./DurationParameter'),
+    user: require('./UserParameter')
+};
+
+/**
+ * Creates a parameter from it's configuration.
+ * @param {Command} command - the command the parameter belongs to.
+ * @param {object} config - the configuration of the parameter. The type
+ *        defaults to string.
+ * @returns {Parameter}
+ */
+function create(command,config){
+    let typeName = config.type || 'string';
+    if(!Object.prototype.hasOwnProperty.call(types,typeName)){
+        throw new Error('the parameter type "'+typeName+'" does not exist');
+    }
+
+    return new types[typeName](command,config);
+}
+
+/**
+ * Adds a type of parameter to the factory.
+ * @param {string} typeName - the name used in the configuration objects.
+ * @param {function} ParameterType - a subclass of Parameter whose constructor
+ *        receives the command and the configuration object, usually a subclass
+ *        of TypedParameter.
+ */
+function registerType(typeName,ParameterType){
+    if(!(ParameterType.prototype instanceof Parameter)){
+        throw new Error('the parameter type "'+typeName+'" must be a subclass of Parameter');
+    }
+    types[typeName] = ParameterType;
+}
+
+exports.create = create;
+exports.registerType = registerType;
+exports.TypedParameter = require('./TypedParameter');
+exports.StringParameter = types.string;
+exports.DateParameter = types.date;
+exports.NumberParameter = types.number;
+exports.IntegerParameter = types.integer;
+exports.BooleanParameter = types.boolean;
+exports.EnumParameter = types.enum;
+exports.DurationParameter = types.duration;
+exports.UserParameter = types.user;
@@ -0,0 +1,82 @@
+"use strict";
+
+var Promise = require('bluebird');
+var RateLimitError = require('./exceptions.js').RateLimitError;
+var keyOf = require('./users.js').keyOf;
+
+/**
+ * Checks that the user of an execution has not used a command too often.
+ *
+ * A command declares it's limits with the following attributes:
+ *  - rateLimit {object|Array}: how many invocations are allowed within a window
+ *    of time, as in {limit: 5, window: 60*1000, scope: 'user'}. Many limits may
+ *    be given in an array.
+ *  - cooldown {number|object}: the milliseconds to wait after each invocation,
+ *    or an object with the duration and the scope, as in {duration: 10*1000, scope: 'room'}.
+ * The scope tells who shares the invocations: each user ('user', the default),
+ * each room ('room') or everyone ('global').
+ *
+ * The invocations are counted by the rateLimitStore of the context, see the
+ * ratelimit folder. Each invocation counts, even the ones over the limit.
+ *
+ * @param {Command} command - the command the user wants to run.
+ * @param {InvocationContext} context - the context of the execution.
+ * @returns {Promise} - with no result.
+ * @throws {RateLimitError} - when any of the limits has been reached.
+ */
+function checkRateLimits(command,context){
+    let limits = getLimits(command);
+    if(limits.length === 0){
+        return Promise.resolve();
+    }
+    let store = context.rateLimitStore;
+    if(!store){
+        return Promise.reject(new Error('The command '+command.fullName()+' has rate limits, but the execution has no rate limit store'));
+    }
+
+    return Promise.each(limits,(limit) => {
+        return store.hit(composeKey(command,limit,context),limit.window)
+            .then((hit) => {
+                if(hit.count > limit.limit){
+                    throw new RateLimitError('You are using the command '+command.fullName()+' too often, try again in '
+                        +Math.ceil(hit.resetIn/1000)+' seconds',hit.resetIn);
+                }
+            });
+    }).then(() => {
+        return;
+    });
+}
+
+/*
+ * The limits of a command, the cooldown being a limit of one invocation.
+ */
+function getLimits(command){
+    let limits = [].concat(command.rateLimit || []).map((limit,index) => {
+        return {id: String(index), limit: limit.limit, window: limit.window, scope: limit.scope || 'user'};
+    });
+    if(command.cooldown){
+        let cooldown = typeof command.cooldown === 'number' ? {duration: command.cooldown} : command.cooldown;
+        limits.push({id: 'cooldown', limit: 1, window: cooldown.duration, scope: cooldown.scope || 'user'});
+    }
+
+    return limits;
+}
+
+/*
+ * The key of the counter of a limit, such as:
+ *  "hubot-commands.ratelimit.deploy.0.user.alice"
+ */
+function composeKey(command,limit,context){
+    let key = `${RATE_LIMIT_KEY_BASE}.${command.fullName()}.${limit.id}.${limit.scope}`;
+    if(limit.scope === 'user'){
+        key += '.'+(keyOf(context.user) || '');
+    } else if(limit.scope === 'room'){
+        key += '.'+(context.room || '');
+    }
+
+    return key;
+}
+
+const RATE_LIMIT_KEY_BASE = 'hubot-commands.ratelimit';
+
+exports.checkRateLimits = checkRateLimits;
@@ -0,0 +1,44 @@
+"use strict";
+
+var Promise = require('bluebird');
+
+/**
+ * A rate limit store that keeps the counters in memory, so they are
+ * lost when the application is restarted, and not shared between many
+ * instances of it.
+ *
+ * A rate limit store counts the invocations made within fixed windows of
+ * time, and implements a single method:
+ *  - hit(key,window): counts an invocation for the key, starting a window of
+ *    the given milliseconds if there is none. Returns a promise with the number
+ *    of invocations made in the window (count) and the milliseconds until the
+ *    window ends (resetIn).
+ *
+ * The clock can be replaced for testing purposes.
+ */
+class MemoryRateLimitStore {
+    /**
+     * @param {object} options - Optional. The available options are:
+     *  - clock {object}: an object with a now method that gives the current time
+     *    in milliseconds. Defaults to Date.
+     */
+    constructor(options){
+        options = Object.assign({clock: Date}, options);
+        this.clock = options.clock;
+        this.counters = new Map();
+    }
+
+    hit(key,window){
+        let now = this.clock.now();
+        let counter = this.counters.get(key);
+        if(typeof counter === 'undefined' || counter.resetAt <= now){
+            counter = {count: 0, resetAt: now+window};
+            this.counters.set(key,counter);
+        }
+        counter.count++;
+
+        return Promise.resolve({count: counter.count, resetIn: counter.resetAt-now});
+    }
+}
+
+module.exports = MemoryRateLimitStore;
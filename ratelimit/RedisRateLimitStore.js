@@ -0,0 +1,41 @@
+"use strict";
+
+var Redis = require('ioredis');
+var Promise = require('bluebird');
+
+/**
+ * A rate limit store that keeps the counters in redis, so that they are
+ * shared by every instance of the application. Each counter is a key that
+ * is incremented with INCR and expires at the end of it's window.
+ *
+ * See MemoryRateLimitStore for the description of the interface.
+ */
+class RedisRateLimitStore {
+    /**
+     * @param {Redis} redis - Optional. The ioredis client to use. By default
+     *        a client to the local redis server is created.
+     */
+    constructor(redis){
+        this.redis = redis || new Redis();
+    }
+
+    hit(key,window){
+        return Promise.resolve(this.redis.incr(key))
+            .then((count) => {
+                // The first invocation starts the window
+                let expiration = count === 1 ? this.redis.pexpire(key,window) : null;
+                return Promise.resolve(expiration)
+                    .then(() => this.redis.pttl(key))
+                    .then((resetIn) => {
+                        // A key left without expiration would block the users forever
+                        if(resetIn < 0){
+                            return Promise.resolve(this.redis.pexpire(key,window))
+                                .then(() => ({count: count, resetIn: window}));
+                        }
+                        return {count: count, resetIn: resetIn};
+                    });
+            });
+    }
+}
+
+module.exports = RedisRateLimitStore;
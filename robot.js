@@ -0,0 +1,176 @@
+"use strict";
+
+var Dispatcher = require('./Dispatcher');
+var Question = require('./Question');
+var suggestions = require('./suggestions');
+var ParseError = require('./exceptions.js').ParseError;
+var ValidationError = require('./exceptions.js').ValidationError;
+var PermissionError = require('./exceptions.js').PermissionError;
+var RateLimitError = require('./exceptions.js').RateLimitError;
+var TimeoutError = require('./exceptions.js').TimeoutError;
+var CancellationError = require('./exceptions.js').CancellationError;
+
+/**
+ * Wires a set of commands into a hubot robot.
+ *
+ * Installs a listener in the robot (robot.respond by default, robot.hear
+ * if asked for) that dispatches the matched text to the commands, and sends
+ * back the result of the execution to the chat. The user, room, robot and
+ * message are given to the context of each execution. The errors thrown by the
+ * commands are turned into friendly messages instead of being lost in
+ * the promise chain. For the inputs that chain many commands, a message is sent
+ * for each result that is not piped to the next command, and for each failure,
+ * telling which command of the chain failed.
+ * example:
+ *     module.exports = function(robot){
+ *         registerWithRobot(robot,[TestCommand,OtherCommand]);
+ *     };
+ *
+ * The available options are:
+ *  - respond {boolean}: whether to use robot.respond (the default) or robot.hear.
+ *  - pattern {RegExp}: the pattern of the listener. The first capture group
+ *    must hold the command input. Defaults to /(.*)/.
+ *  - reply {boolean}: whether to answer with chat.reply instead of chat.send.
+ *    Defaults to false.
+ *  - notFound {string|function|null}: the message sent when no command matches
+ *    the input, followed by the names of the commands the user may have meant, or
+ *    a function that receives the input and those names, and returns it. If null,
+ *    the bot stays silent. Defaults to a generic message.
+ *  - formatResult {function}: turns the result of a command into the message to
+ *    send. Results that end up being undefined or null are not sent. The questions
+ *    asked to the user, such as confirmations, are sent as they are.
+ *  - formatError {function}: turns an error thrown by a command into the message
+ *    to send. By default ParseError, ValidationError, PermissionError, RateLimitError,
+ *    TimeoutError and CancellationError messages are shown to the user, and any other
+ *    error is logged and answered with a generic message. TimeoutErrors are logged too.
+ * Any other option, such as helpFormat, roleProvider, conversations, middlewares or
+ * rateLimitStore, is given to the Dispatcher created for the commands, and ignored when
+ * a Dispatcher is given.
+ *
+ * @param {Robot} robot - the hubot robot.
+ * @param {Array|Dispatcher} commands - the Command classes to wire, or an already
+ *        configured Dispatcher.
+ * @param {object} options - Optional. See above.
+ * @returns {Dispatcher} - the dispatcher used by the listener.
+ */
+function registerWithRobot(robot,commands,options){
+    let dispatcherOptions = Object.assign({}, options);
+    for(let adapterOption in DEFAULT_OPTIONS){
+        delete dispatcherOptions[adapterOption];
+    }
+    options = Object.assign({}, DEFAULT_OPTIONS, options);
+
+    let dispatcher = commands;
+    if(!(commands instanceof Dispatcher)){
+        dispatcher = new Dispatcher(dispatcherOptions);
+        for(let CommandClass of commands){
+            dispatcher.addCommand(CommandClass);
+        }
+    }
+
+    let listen = options.respond ? robot.respond : robot.hear;
+    listen.call(robot,options.pattern,function(chat){
+        let input = chat.match[1].trim();
+        let answer = function(message){
+            if(typeof message !== 'undefined' && message !== null){
+                options.reply ? chat.reply(message) : chat.send(message);
+            }
+        };
+
+        let executionOptions = {
+            user: chat.message.user,
+            room: chat.message.room,
+            robot: robot,
+            message: chat.message
+        };
+
+        let answerResult = function(result){
+            if(result instanceof Dispatcher.NoMatchResult){
+                answer(notFoundMessage(options.notFound,result));
+            } else if(result instanceof Question){
+                answer(result.text);
+            } else {
+                answer(options.formatResult(result));
+            }
+        };
+        let answerError = function(error,prefix){
+            if(!isUserError(error) && robot.logger){
+                robot.logger.error('Error while executing the command ('+input+'): '+error.stack);
+            }
+            answer((prefix || '')+options.formatError(error));
+        };
+
+        return dispatcher.dispatch(input,executionOptions)
+            .then(function(result){
+                if(!(result instanceof Dispatcher.ChainResult)){
+                    return answerResult(result);
+                }
+                for(let stage of result.outputs()){
+                    if(stage.status === 'error'){
+                        answerError(stage.error,'The stage '+stage.position+' ('+stage.input+') failed: ');
+                    } else {
+                        answerResult(stage.result);
+                    }
+                }
+            })
+            .catch(function(error){
+                answerError(error);
+            });
+    });
+
+    return dispatcher;
+}
+
+/*
+ * Gives the message to send to the user when no command matches the input.
+ */
+function notFoundMessage(notFound,result){
+    if(typeof notFound === 'function'){
+        return notFound(result.input,result.suggestions);
+    }
+    if(notFound === null || typeof notFound === 'undefined'){
+        return notFound;
+    }
+
+    return notFound+suggestions.didYouMean(result.suggestions);
+}
+
+/*
+ * Gives the message to send to the user when a command fails.
+ */
+function defaultFormatError(error){
+    let message;
+    if(error instanceof ParseError){
+        message = 'I could not understand your command: '+error.message;
+    } else if(error instanceof ValidationError){
+        message = 'Your command is not valid: '+error.message;
+    } else if(error instanceof PermissionError || error instanceof RateLimitError || error instanceof TimeoutError){
+        message = 'Sorry, '+error.message.charAt(0).toLowerCase()+error.message.substring(1);
+    } else if(error instanceof CancellationError){
+        message = error.message;
+    } else {
+        message = 'Something went wrong while executing your command';
+    }
+
+    return message;
+}
+
+/*
+ * Whether the error is caused by what the user wrote, instead of by a failure
+ * of the command, which must be logged.
+ */
+function isUserError(error){
+    return error instanceof ParseError || error instanceof ValidationError || error instanceof PermissionError
+        || error instanceof RateLimitError || error instanceof CancellationError;
+}
+
+const DEFAULT_OPTIONS = {
+    respond: true,
+    pattern: /(.*)/,
+    reply: false,
+    notFound: 'I do not understand your command.',
+    formatResult: (result) => result,
+    formatError: defaultFormatError
+};
+
+exports.registerWithRobot = registerWithRobot;
@@ -0,0 +1,31 @@
+"use strict";
+
+var Promise = require('bluebird');
+
+/**
+ * A role provider that takes the roles of the users from the hubot brain,
+ * where they are held in the roles attribute of each user, as done by the
+ * hubot-auth script.
+ *
+ * See StaticRoleProvider for the description of the interface.
+ */
+class BrainRoleProvider {
+    /**
+     * @param {Robot} robot - the hubot robot whose brain holds the users.
+     */
+    constructor(robot){
+        this.brain = robot.brain;
+    }
+
+    getRoles(user){
+        let roles = [];
+        if(user){
+            let brainUser = this.brain.userForId(user.id);
+            roles = (brainUser && brainUser.roles) || [];
+        }
+
+        return Promise.resolve(roles.slice());
+    }
+}
+
+module.exports = BrainRoleProvider;
@@ -0,0 +1,32 @@
+"use strict";
+
+var Promise = require('bluebird');
+
+/**
+ * A role provider that takes the roles of the users from a static
+ * configuration, keyed by the id or the name of the users:
+ *     new StaticRoleProvider({alice:['admin','ops'], bob:['ops']});
+ *
+ * Every role provider offers the same promise based interface:
+ *  - getRoles(user,context): the list of the roles of the user, where the user
+ *    is the one given by hubot and the context is the one of the execution.
+ */
+class StaticRoleProvider {
+    /**
+     * @param {object} roles - the lists of roles, by user id or name.
+     */
+    constructor(roles){
+        this.roles = roles || {};
+    }
+
+    getRoles(user){
+        let roles = [];
+        if(user){
+            roles = this.roles[user.id] || this.roles[user.name] || [];
+        }
+
+        return Promise.resolve(roles.slice());
+    }
+}
+
+module.exports = StaticRoleProvider;
@@ -0,0 +1,230 @@
+"use strict";
+
+var ParseError = require('./exceptions.js').ParseError;
+var parseDuration = require('./parameters/DurationParameter').parseDuration;
+
+/**
+ * Understands when a scheduled command must be executed, as written by the users:
+ *  - in <duration>: once, after the duration, as in "in 2h" or "in 1h30m".
+ *    See DurationParameter for the duration syntax.
+ *  - at <time>: once, the next time the clock reaches the time, as in "at 09:00".
+ *  - every <duration>: repeatedly, as in "every 30m".
+ *  - every <days> at <time>: repeatedly, as in "every weekday at 09:00". The days are
+ *    day, weekday, weekend or the name of a day of the week, as in "every monday at 10:30".
+ *    Without a time, the command is executed at midnight.
+ *  - cron <expression>: repeatedly, following a cron expression of five fields (minute,
+ *    hour, day of the month, month and day of the week), as in "cron 0 9 * * 1-5".
+ * The times are in the local time of the bot.
+ *
+ * A parsed schedule is a plain object, so that it can be persisted:
+ *     {type:"once",at:1451606400000}
+ *     {type:"interval",every:1800000}
+ *     {type:"cron",expression:"0 9 * * 1-5"}
+ */
+
+/**
+ * Parses a schedule.
+ * @param {string} text - the schedule, as in "every weekday at 09:00".
+ * @param {number} now - Optional. The current time in milliseconds, from which the
+ *        relative schedules are computed. Defaults to Date.now().
+ * @returns {object} - the parsed schedule.
+ * @throws {ParseError} - when the text is not a schedule.
+ */
+function parseSchedule(text,now){
+    now = typeof now === 'number' ? now : Date.now();
+    let words = String(text).trim().toLowerCase().split(/\s+/);
+    let keyword = words.shift();
+    let rest = words.join(' ');
+    let schedule = null;
+    if(keyword === 'in'){
+        let duration = parseDuration(rest);
+        schedule = duration === null ? null : {type: 'once', at: now+duration};
+    } else if(keyword === 'at'){
+        let time = parseTime(rest);
+        schedule = time === null ? null : {type: 'once', at: nextRun(cronSchedule(time,'*'),now)};
+    } else if(keyword === 'every'){
+        schedule = parseEvery(rest);
+    } else if(keyword === 'cron'){
+        schedule = parseCron(rest) === null ? null : {type: 'cron', expression: rest};
+    }
+
+    if(schedule === null){
+        throw new ParseError('The schedule ('+text+') is not valid, it must be like "in 2h", "at 09:00", "every 30m",'
+            +' "every weekday at 09:00" or "cron 0 9 * * 1-5"');
+    }
+    return schedule;
+}
+
+/**
+ * Gives when a schedule must be executed next.
+ * @param {object} schedule - the schedule, as given by parseSchedule.
+ * @param {number} after - the time in milliseconds after which to look for.
+ * @returns {number} - the time in milliseconds, or null if the schedule is not executed anymore.
+ */
+function nextRun(schedule,after){
+    if(schedule.type === 'once'){
+        return schedule.at > after ? schedule.at : null;
+    }
+    if(schedule.type === 'interval'){
+        return after+schedule.every;
+    }
+
+    return nextCronRun(parseCron(schedule.expression),after);
+}
+
+/*
+ * Parses what follows "every": a duration, or days and an optional time.
+ */
+function parseEvery(text){
+    let duration = parseDuration(text);
+    if(duration !== null){
+        return duration > 0 ? {type: 'interval', every: duration} : null;
+    }
+
+    let match = /^(\S+)(?: at (.+))?$/.exec(text);
+    if(match === null || !DAYS.hasOwnProperty(match[1])){
+        return null;
+    }
+    let time = typeof match[2] === 'undefined' ? {hour: 0, minute: 0} : parseTime(match[2]);
+
+    return time === null ? null : cronSchedule(time,DAYS[match[1]]);
+}
+
+/*
+ * Parses a time of the day, as in "9:00" or "17:30".
+ */
+function parseTime(text){
+    let match = /^(\d{1,2}):(\d{2})$/.exec(text.trim());
+    if(match === null){
+        return null;
+    }
+    let hour = parseInt(match[1],10);
+    let minute = parseInt(match[2],10);
+
+    return hour < 24 && minute < 60 ? {hour: hour, minute: minute} : null;
+}
+
+function cronSchedule(time,days){
+    return {type: 'cron', expression: time.minute+' '+time.hour+' * * '+days};
+}
+
+/*
+ * Parses a cron expression into the allowed values of each of it's fields,
+ * or gives null if it is not valid. Each field is a list of values, ranges
+ * (1-5) and steps (*\/15 or 0-30/10).
+ */
+function parseCron(expression){
+    let fields = String(expression).trim().split(/\s+/);
+    if(fields.length !== CRON_FIELDS.length){
+        return null;
+    }
+
+    let cron = {};
+    for(let i = 0; i < CRON_FIELDS.length; i++){
+        let values = parseCronField(fields[i],CRON_FIELDS[i]);
+        if(values === null){
+            return null;
+        }
+        cron[CRON_FIELDS[i].name] = values;
+        cron[CRON_FIELDS[i].name+'Restricted'] = fields[i] !== '*';
+    }
+    // Sunday may be written as 0 or 7
+    if(cron.weekday.indexOf(7) !== -1){
+        cron.weekday.push(0);
+    }
+
+    return cron;
+}
+
+function parseCronField(field,limits){
+    let values = [];
+    for(let part of field.split(',')){
+        let match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if(match === null){
+            return null;
+        }
+        let start = match[1] === '*' ? limits.min : parseInt(match[2],10);
+        let end = match[1] === '*' ? limits.max : (typeof match[3] === 'undefined' ? start : parseInt(match[3],10));
+        let step = typeof match[4] === 'undefined' ? 1 : parseInt(match[4],10);
+        if(typeof match[4] !== 'undefined' && typeof match[3] === 'undefined' && match[1] !== '*'){
+            end = limits.max;
+        }
+        if(start < limits.min || end > limits.max || start > end || step < 1){
+            return null;
+        }
+        for(let value = start; value <= end; value += step){
+            values.push(value);
+        }
+    }
+
+    return values;
+}
+
+/*
+ * The first minute after the given time that matches the cron, skipping the whole
+ * months, days and hours that don't. Gives null if none matches within some years,
+ * as happens with "0 0 30 2 *".
+ */
+function nextCronRun(cron,after){
+    let date = new Date(after);
+    date.setSeconds(0,0);
+    date.setMinutes(date.getMinutes()+1);
+    let lastYear = date.getFullYear()+CRON_SEARCH_YEARS;
+    while(date.getFullYear() <= lastYear){
+        if(cron.month.indexOf(date.getMonth()+1) === -1){
+            date.setMonth(date.getMonth()+1,1);
+            date.setHours(0,0);
+        } else if(!matchesDay(cron,date)){
+            date.setDate(date.getDate()+1);
+            date.setHours(0,0);
+        } else if(cron.hour.indexOf(date.getHours()) === -1){
+            date.setHours(date.getHours()+1,0);
+        } else if(cron.minute.indexOf(date.getMinutes()) === -1){
+            date.setMinutes(date.getMinutes()+1);
+        } else {
+            return date.getTime();
+        }
+    }
+
+    return null;
+}
+
+/*
+ * As in cron, when both the day of the month and the day of the week are
+ * restricted, matching any of them is enough.
+ */
+function matchesDay(cron,date){
+    let matchesMonthDay = cron.day.indexOf(date.getDate()) !== -1;
+    let matchesWeekday = cron.weekday.indexOf(date.getDay()) !== -1;
+    if(cron.dayRestricted && cron.weekdayRestricted){
+        return matchesMonthDay || matchesWeekday;
+    }
+
+    return matchesMonthDay && matchesWeekday;
+}
+
+const CRON_FIELDS = [
+    {name: 'minute', min: 0, max: 59},
+    {name: 'hour', min: 0, max: 23},
+    {name: 'day', min: 1, max: 31},
+    {name: 'month', min: 1, max: 12},
+    {name: 'weekday', min: 0, max: 7}
+];
+
+const CRON_SEARCH_YEARS = 5;
+
+const DAYS = {
+    day: '*',
+    weekday: '1-5', weekdays: '1-5',
+    weekend: '0,6', weekends: '0,6',
+    sunday: '0', sundays: '0',
+    monday: '1', mondays: '1',
+    tuesday: '2', tuesdays: '2',
+    wednesday: '3', wednesdays: '3',
+    thursday: '4', thursdays: '4',
+    friday: '5', fridays: '5',
+    saturday: '6', saturdays: '6'
+};
+
+exports.parseSchedule = parseSchedule;
+exports.nextRun = nextRun;
@@ -0,0 +1,56 @@
+"use strict";
+
+var Promise = require('bluebird');
+
+/**
+ * A storage backend that keeps the data in the hubot brain, so
+ * that bots that don't run redis can still persist it through
+ * whichever brain persistence they have configured.
+ * All the data is held in a single object of the brain, under
+ * the "hubot-commands" key.
+ *
+ * See MemoryStorage for the description of the interface.
+ */
+class BrainStorage {
+    /**
+     * @param {Robot} robot - the hubot robot whose brain holds the data.
+     */
+    constructor(robot){
+        this.brain = robot.brain;
+    }
+
+    get(key){
+        let value = this._data()[key];
+        return Promise.resolve(typeof value === 'undefined' ? null : value);
+    }
+
+    set(key,value){
+        let data = this._data();
+        data[key] = value;
+        this.brain.set(BRAIN_KEY,data);
+        return Promise.resolve();
+    }
+
+    remove(key){
+        let data = this._data();
+        let existed = data.hasOwnProperty(key);
+        delete data[key];
+        this.brain.set(BRAIN_KEY,data);
+        return Promise.resolve(existed);
+    }
+
+    keys(prefix){
+        return Promise.resolve(Object.keys(this._data()).filter((key) => key.startsWith(prefix)));
+    }
+
+    /*
+     * The object of the brain that holds all the data.
+     */
+    _data(){
+        return this.brain.get(BRAIN_KEY) || {};
+    }
+}
+
+const BRAIN_KEY = 'hubot-commands';
+
+module.exports = BrainStorage;
@@ -0,0 +1,52 @@
+"use strict";
+
+var Promise = require('bluebird');
+
+/**
+ * A storage backend that keeps the data in memory.
+ * By it's very nature, the data is lost when the application stops,
+ * so it is meant for tests and for bots that rebuild their data
+ * on each launch.
+ *
+ * Every storage backend offers the same promise based interface:
+ *  - get(key): the value held under the key, or null if there is none.
+ *  - set(key,value): stores a JSON serializable value under the key.
+ *  - remove(key): removes the key, resolving to whether it existed.
+ *  - keys(prefix): the list of stored keys that start with the prefix.
+ */
+class MemoryStorage {
+    constructor(){
+        this.data = new Map();
+    }
+
+    get(key){
+        let value = this.data.has(key) ? this.data.get(key) : null;
+        //Copies are given so that the stored values cannot be modified from outside
+        return Promise.resolve(copy(value));
+    }
+
+    set(key,value){
+        this.data.set(key,copy(value));
+        return Promise.resolve();
+    }
+
+    remove(key){
+        return Promise.resolve(this.data.delete(key));
+    }
+
+    keys(prefix){
+        let keys = [];
+        for(let key of this.data.keys()){
+            if(key.startsWith(prefix)){
+                keys.push(key);
+            }
+        }
+        return Promise.resolve(keys);
+    }
+}
+
+function copy(value){
+    return value === null || typeof value === 'undefined' ? null : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = MemoryStorage;
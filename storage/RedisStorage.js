@@ -0,0 +1,52 @@
+"use strict";
+
+var Redis = require('ioredis');
+var Promise = require('bluebird');
+
+/**
+ * A storage backend that keeps the data in redis.
+ * Each value is serialized as JSON under it's own key.
+ *
+ * See MemoryStorage for the description of the interface.
+ */
+class RedisStorage {
+    /**
+     * @param {Redis} redis - Optional. The ioredis client to use. By default
+     *        a client to the local redis server is created.
+     */
+    constructor(redis){
+        this.redis = redis || new Redis();
+    }
+
+    get(key){
+        return Promise.resolve(this.redis.get(key))
+            .then((value) => value === null ? null : JSON.parse(value));
+    }
+
+    set(key,value){
+        return Promise.resolve(this.redis.set(key,JSON.stringify(value)))
+            .then(() => {
+                //We do not want to expose the redis result
+                return;
+            });
+    }
+
+    remove(key){
+        return Promise.resolve(this.redis.del(key))
+            .then((removed) => removed > 0);
+    }
+
+    keys(prefix){
+        return Promise.resolve(this.redis.keys(escapePattern(prefix)+'*'));
+    }
+}
+
+/*
+ * Escapes the characters that have a special meaning in
+ * the patterns of the redis KEYS command.
+ */
+function escapePattern(text){
+    return text.replace(/[*?\[\]\\]/g,'\\$&');
+}
+
+module.exports = RedisStorage;
@@ -0,0 +1,92 @@
+"use strict";
+
+/**
+ * Suggests the names that the user may have meant when writing an unknown
+ * one, such as a misspelled command or parameter name, so that the errors can
+ * tell "Did you mean from?".
+ *
+ * The names are compared by their edit distance, counting the insertion,
+ * deletion or substitution of a character and the transposition of two
+ * adjacent ones as one edit each, without taking the case into account.
+ * A name is suggested when the distance is at most a third of it's length,
+ * with a minimum of one edit and a maximum of three.
+ *
+ * When a candidate has many words, such as "deploy status", it is compared with
+ * as many words of the written text, so that the whole input of the user can be
+ * given to find the commands.
+ *
+ * @param {string} written - what the user wrote.
+ * @param {Array} candidates - the names that exist.
+ * @returns {Array} - the suggested names, the closest first.
+ */
+function suggest(written,candidates){
+    let words = String(written).trim().split(/\s+/);
+    let suggestions = [];
+    for(let candidate of candidates){
+        let candidateWords = candidate.split(/\s+/);
+        let comparedText = words.slice(0,candidateWords.length).join(' ').toLowerCase();
+        let editDistance = distance(comparedText,candidate.toLowerCase());
+        let maxDistance = Math.min(3,Math.max(1,Math.floor(candidate.length/3)));
+        if(editDistance <= maxDistance && suggestions.every((suggestion) => suggestion.name !== candidate)){
+            suggestions.push({name: candidate, distance: editDistance});
+        }
+    }
+
+    return suggestions
+        .sort((first,second) => first.distance - second.distance || first.name.localeCompare(second.name))
+        .map((suggestion) => suggestion.name);
+}
+
+/**
+ * Gives the sentence that proposes the suggestions to the user, to be appended
+ * to the message of an error.
+ * @param {Array} suggestions - the suggested names, as given by suggest.
+ * @returns {string} - such as " Did you mean from or to?", or an empty string
+ *          when there are no suggestions.
+ */
+function didYouMean(suggestions){
+    if(!suggestions || suggestions.length === 0){
+        return '';
+    }
+
+    let names = suggestions.length === 1
+        ? suggestions[0]
+        : suggestions.slice(0,-1).join(', ')+' or '+suggestions[suggestions.length-1];
+    return ' Did you mean '+names+'?';
+}
+
+/**
+ * The edit distance between two texts, as explained in suggest.
+ * @param {string} first
+ * @param {string} second
+ * @returns {number}
+ */
+function distance(first,second){
+    let distances = [];
+    for(let i = 0; i <= first.length; i++){
+        distances.push([i]);
+    }
+    for(let j = 1; j <= second.length; j++){
+        distances[0][j] = j;
+    }
+
+    for(let i = 1; i <= first.length; i++){
+        for(let j = 1; j <= second.length; j++){
+            let cost = first[i-1] === second[j-1] ? 0 : 1;
+            distances[i][j] = Math.min(
+                distances[i-1][j]+1,
+                distances[i][j-1]+1,
+                distances[i-1][j-1]+cost
+            );
+            if(i > 1 && j > 1 && first[i-1] === second[j-2] && first[i-2] === second[j-1]){
+                distances[i][j] = Math.min(distances[i][j],distances[i-2][j-2]+1);
+            }
+        }
+    }
+
+    return distances[first.length][second.length];
+}
+
+exports.suggest = suggest;
+exports.didYouMean = didYouMean;
+exports.distance = distance;
@@ -3,8 +3,51 @@ var chaiAsPromised = require("chai-as-promised");
 chai.use(chaiAsPromised);
 var assert = chai.assert;
 var TestCommand = require('./test/TestCommand.js');
+var LegacyTestCommand = require('./test/LegacyTestCommand.js');
+var TestingCommand = require('./test/TestingCommand.js');
+var TypedCommand = require('./test/TypedCommand.js');
+var DeployCommand = require('./test/DeployCommand.js');
+var ServiceCommand = require('./test/ServiceCommand.js');
+var WhoamiCommand = require('./test/WhoamiCommand.js');
+var ShutdownCommand = require('./test/ShutdownCommand.js');
+var DropCommand = require('./test/DropCommand.js');
+var RemindCommand = require('./test/RemindCommand.js');
+var SlowCommand = require('./test/SlowCommand.js');
+var RepoCommand = require('./test/RepoCommand.js');
+var CountCommand = require('./test/CountCommand.js');
+var Command = require('./Command.js');
+var Dispatcher = require('./Dispatcher.js');
+var tokenize = require('./tokenizer.js').tokenize;
+var splitChain = require('./tokenizer.js').splitChain;
+var registerWithRobot = require('./robot.js').registerWithRobot;
+var FakeRobot = require('./test/FakeRobot.js');
+var FakeClock = require('./test/FakeClock.js');
+var CommandRegistry = require('./CommandRegistry.js');
+var MemoryStorage = require('./storage/MemoryStorage.js');
+var BrainStorage = require('./storage/BrainStorage.js');
+var HelpCommand = require('./commands/HelpCommand.js');
+var CancelCommand = require('./commands/CancelCommand.js');
+var HistoryCommand = require('./commands/HistoryCommand.js');
+var LastCommand = require('./commands/LastCommand.js');
+var ScheduleCommand = require('./commands/ScheduleCommand.js');
+var AliasCommand = require('./commands/AliasCommand.js');
 var ParseError = require('./exceptions.js').ParseError;
 var ValidationError = require('./exceptions.js').ValidationError;
+var PermissionError = require('./exceptions.js').PermissionError;
+var RateLimitError = require('./exceptions.js').RateLimitError;
+var TimeoutError = require('./exceptions.js').TimeoutError;
+var CancellationError = require('./exceptions.js').CancellationError;
+var StaticRoleProvider = require('./roles/StaticRoleProvider.js');
+var BrainRoleProvider = require('./roles/BrainRoleProvider.js');
+var ConversationStore = require('./ConversationStore.js');
+var MemoryRateLimitStore = require('./ratelimit/MemoryRateLimitStore.js');
+var MemoryHistoryStore = require('./history/MemoryHistoryStore.js');
+var FileHistoryStore = require('./history/FileHistoryStore.js');
+var Question = require('./Question.js');
+var suggestions = require('./suggestions.js');
+var schedules = require('./schedules.js');
+var Scheduler = require('./Scheduler.js');
+var MacroStore = require('./MacroStore.js');
 
 describe('Allen command library', function () {
 
@@ -36,15 +79,42 @@ describe('Allen command library', function () {
             var testCommand = new TestCommand();
             return assert.isRejected(testCommand.execute('test from 2015-12-01T10:30 to 2015-12-01T09:00'), ValidationError, "The invalid test command should be rejected because of invalid dates");
         });
+        it('should give the individual reasons of a ValidationError', function () {
+            var testCommand = new TestCommand();
+            return testCommand.execute('test from 2015-12-01T10:30 to 2015-12-01T09:00').then(function () {
+                assert.fail('the invalid test command should be rejected');
+            }, function (error) {
+                assert.instanceOf(error, ValidationError, 'the invalid dates should be a validation error');
+                assert.equal(error.message, 'The arguments passed to the command are not valid: from: must be earlier than the to parameter; complex: did not receive the whole command', 'every reason should be in the message');
+                assert.lengthOf(error.errors, 2, 'every reason should be in the error');
+                assert.equal(error.errors[0].parameter, 'from', 'the reason should name the parameter');
+                assert.equal(error.errors[0].value.getTime(), new Date('2015-12-01T10:30').getTime(), 'the reason should hold the offending value');
+            });
+        });
         it('should throw ParseError when fed an invalid command', function () {
             var testCommand = new TestCommand();
             return assert.isRejected(testCommand.execute('invalidCommand'), ParseError, "the invalid command parsing should be rejected");
         });
 		
+        it('should throw a ParseError listing every missing required parameter', function () {
+            var testCommand = new TestCommand();
+            return testCommand.execute('test').then(function () {
+                assert.fail('the command without parameters should be rejected');
+            }, function (error) {
+                assert.instanceOf(error, ParseError, 'the missing parameters should be a parse error');
+                assert.equal(error.message, 'Missing required parameters: from, to', 'every missing parameter should be listed');
+                assert.deepEqual(error.missingParameters, ['from', 'to'], 'the missing parameters should be given in the error');
+            });
+        });
+        it('should throw a ParseError when a parameter is given twice', function () {
+            var testCommand = new TestCommand();
+            return assert.isRejected(testCommand.execute('test from 2015-12-01T09:00 from 2015-12-01T09:30 to 2015-12-01T10:30'), ParseError, 'The parameter from cannot be given more than once');
+        });
+
         //Help
         it('should return a general command help when asked for',function(){
             var testCommand = new TestCommand();
-            var helpResult = "A test command to prove that the library works\n\nParameters:\n";
+            var helpResult = "A test command to prove that the library works\n\nUsage: test from <date> to <date> [complex...]\n\nParameters:\n";
             helpResult += "\t- from: when to start\n";
             helpResult += "\t- to: when to stop\n";
             helpResult += "\t- complex: An arbitrary complex parameter that needs the whole command input string.\n";
@@ -54,6 +124,1397 @@ describe('Allen command library', function () {
             var testCommand = new TestCommand();
             return assert.eventually.equal(testCommand.execute("test help from"),"from:\n\tFrom when to start the command. ISO8601 date format expected.","the specific parameter help action should return a specific string");
         });
+        it('should only take the help word right after the command name as a help request', function () {
+            var testCommand = new TestCommand();
+            return assert.isRejected(testCommand.execute('test from helpdesk'), ParseError, 'Missing required parameters: to');
+        });
+        it('should take the whole rest of the input of a help request as the name to look for', function () {
+            var testCommand = new TestCommand();
+            return Promise.all([
+                assert.eventually.equal(testCommand.execute('test help "from"'), 'from:\n\tFrom when to start the command. ISO8601 date format expected.', 'the quoted name should be found'),
+                assert.isRejected(testCommand.execute('test help from to'), ParseError, 'The given parameter (from to) does not exist for this command.'),
+                assert.isRejected(testCommand.execute('test help "fr om"'), ParseError, 'The given parameter (fr om) does not exist for this command.'),
+                assert.isRejected(testCommand.execute('test "help" to 2016'), ParseError, 'Missing required parameters: from')
+            ]);
+        });
+        it('should reject the help requests that cannot be tokenized instead of throwing', function () {
+            var testCommand = new TestCommand();
+            return Promise.all([
+                assert.isRejected(testCommand.execute('test help "from'), ParseError, 'The quote (") is not closed'),
+                assert.isRejected(testCommand.execute('test help a\\'), ParseError)
+            ]);
+        });
+        it('should generate the usage line with the types, defaults and optional parameters', function () {
+            assert.equal(new DeployCommand().usage(), 'deploy <app> [<env>=staging] [--force] [--verbose] [--tag <string>...] [--replicas <integer>]', 'the flags syntax usage should be generated');
+            assert.equal(new TypedCommand().usage(), 'typed [at <date>] [count <integer>] [ratio <number>] [env <production|staging>] [every <duration>] [notify] [owner <user>] [tag <string>...] [label <string>]', 'the keyword syntax usage should be generated');
+        });
+        it('should render the help in markdown', function () {
+            var testCommand = new TestCommand();
+            testCommand.helpFormat = 'markdown';
+            testCommand.examples = ['test from 2015-12-01T09:00 to 2015-12-01T10:30'];
+            return Promise.all([
+                assert.eventually.equal(testCommand.execute('test help'), [
+                    '**test**: A test command to prove that the library works',
+                    '',
+                    '`test from <date> to <date> [complex...]`',
+                    '',
+                    '**Parameters**',
+                    '- `from` when to start',
+                    '- `to` when to stop',
+                    '- `complex` An arbitrary complex parameter that needs the whole command input string.',
+                    '',
+                    '**Examples**',
+                    '- `test from 2015-12-01T09:00 to 2015-12-01T10:30`',
+                    ''
+                ].join('\n'), 'the general help should be rendered in markdown'),
+                assert.eventually.equal(testCommand.execute('test help from'), '**from** `<date>` (required)\n\nFrom when to start the command. ISO8601 date format expected.', 'the parameter help should be rendered in markdown')
+            ]);
+        });
+        it('should render the help as a structured slack message', function () {
+            var testCommand = new TestCommand();
+            testCommand.helpFormat = 'slack';
+            return testCommand.execute('test help').then(function (message) {
+                assert.lengthOf(message.attachments, 1, 'the help should be a single attachment');
+                var attachment = message.attachments[0];
+                assert.equal(attachment.title, 'test', 'the title should be the command name');
+                assert.equal(attachment.text, 'A test command to prove that the library works', 'the text should be the command help');
+                assert.deepEqual(attachment.fields[0], {title: 'Usage', value: '`test from <date> to <date> [complex...]`', short: false}, 'the usage should be a field');
+                assert.equal(attachment.fields[1].title, 'Parameters', 'the parameters should be a field');
+                assert.match(attachment.fallback, /^A test command to prove that the library works\n\nUsage: /, 'the fallback should be the text help');
+            });
+        });
+
+        //Matching
+        it('should not parse an input whose first word only starts with the command name', function () {
+            var testCommand = new TestCommand();
+            assert.isTrue(testCommand.willParseCommand('test from 2015'), 'the test command should parse its own input');
+            assert.isFalse(testCommand.willParseCommand('testing from 2015'), 'the test command should not parse the testing command input');
+        });
+
+    });
+
+    describe('Invocation context', function () {
+
+        it('should keep the model of each execution isolated in its context', function () {
+            var typedCommand = new TypedCommand();
+            return Promise.all([
+                typedCommand.execute('typed count 1 tag first'),
+                typedCommand.execute('typed count 2')
+            ]).then(function (models) {
+                assert.notStrictEqual(models[0], models[1], 'each execution should have its own model');
+                assert.deepEqual(models[0], {count: 1, tag: ['first'], notify: false}, 'the first model should keep its values');
+                assert.deepEqual(models[1], {count: 2, notify: false}, 'the second model should not receive the values of the first');
+            });
+        });
+        it('should give the context of the execution to the parameters and the command', function () {
+            var contexts = [];
+            var testingCommand = new TestingCommand();
+            testingCommand.addParameter({name: 'target', positional: true, validate: function (value, context) {
+                contexts.push(context);
+                return true;
+            }});
+            testingCommand.run = function (context) {
+                contexts.push(context);
+                return context;
+            };
+            return testingCommand.execute('testing "the target"', {user: {name: 'bob'}, room: 'ops'}).then(function (context) {
+                assert.strictEqual(contexts[0], context, 'the parameter and the command should receive the same context');
+                assert.strictEqual(context.command, testingCommand, 'the context should hold the command');
+                assert.equal(context.input, 'testing "the target"', 'the context should hold the whole input');
+                assert.equal(context.arguments, '"the target"', 'the context should hold the input without the command name');
+                assert.deepEqual(context.tokens, [{value: 'the target', literal: true}], 'the context should hold the tokens');
+                assert.deepEqual(context.model, {target: 'the target'}, 'the context should hold the model');
+                assert.equal(context.user.name, 'bob', 'the context should hold the user');
+                assert.equal(context.room, 'ops', 'the context should hold the room');
+            });
+        });
+        it('should give the user and room of the chat message to the commands', function () {
+            var robot = new FakeRobot();
+            var dispatcher = registerWithRobot(robot, [WhoamiCommand]);
+            return robot.receive('whoami', 'bob', 'ops').then(function () {
+                assert.deepEqual(robot.messages, [{type: 'send', message: 'bob in ops'}], 'the user and room should be in the context');
+                assert.isNull(dispatcher.createCommand('unknown'), 'no command should be created for an unknown input');
+            });
+        });
+        it('should still give the model to the commands that use this.model', function () {
+            var legacyCommand = new LegacyTestCommand();
+            return legacyCommand.execute('legacy from 2015-12-01T09:00 to 2015-12-01T10:30').then(function (model) {
+                assert.isTrue(model.executed, 'the run method should receive the model');
+                assert.deepEqual(model.from, new Date('2015-12-01T09:00'), 'the parameters should fill the model');
+                assert.equal(model.complexDump, 'from 2015-12-01T09:00 to 2015-12-01T10:30', 'the whole command parameters should fill the model');
+                return assert.isRejected(legacyCommand.execute('legacy from 2015-12-01T10:30 to 2015-12-01T09:00'), ValidationError);
+            });
+        });
+        it('should share the command instances added to the dispatcher', function () {
+            var testCommand = new TestCommand();
+            var dispatcher = new Dispatcher().addCommand(testCommand);
+            assert.strictEqual(dispatcher.createCommand('test help'), testCommand, 'the instance should be shared');
+            assert.strictEqual(dispatcher.match('test help'), TestCommand, 'the class of the instance should be matched');
+        });
+
+    });
+
+    describe('Permissions', function () {
+
+        var roleProvider = new StaticRoleProvider({alice: ['admin', 'root'], bob: ['admin'], carol: ['ops']});
+        function execute(input, userName, room) {
+            return new ShutdownCommand().execute(input, {user: {id: userName, name: userName}, room: room || 'general', roleProvider: roleProvider});
+        }
+
+        it('should execute the command for the users with one of its roles', function () {
+            return Promise.all([
+                assert.eventually.equal(execute('shutdown', 'bob'), 'shutting down', 'the admin should be allowed'),
+                assert.isRejected(execute('shutdown', 'carol'), PermissionError, 'You are not allowed to use the command shutdown'),
+                assert.isRejected(execute('shutdown', 'nobody'), PermissionError, 'You are not allowed to use the command shutdown')
+            ]);
+        });
+        it('should check the authorization predicate of the command', function () {
+            return assert.isRejected(execute('shutdown', 'alice', 'lobby'), PermissionError, 'You are not allowed to use the command shutdown');
+        });
+        it('should check the roles and predicates of the given parameters only', function () {
+            return Promise.all([
+                assert.eventually.equal(execute('shutdown force', 'alice'), 'shutting down', 'the root should be allowed to force'),
+                assert.isRejected(execute('shutdown force', 'bob'), PermissionError, 'You are not allowed to use the parameter force of the command shutdown'),
+                assert.eventually.equal(execute('shutdown reason maintenance', 'bob', 'ops'), 'shutting down', 'the reason should be allowed from the ops room'),
+                assert.isRejected(execute('shutdown reason maintenance', 'bob'), PermissionError, 'You are not allowed to use the parameter reason of the command shutdown')
+            ]);
+        });
+        it('should restrict the subcommands with the roles of their parents', function () {
+            var serviceCommand = new ServiceCommand();
+            serviceCommand.roles = ['ops'];
+            return Promise.all([
+                assert.eventually.equal(serviceCommand.execute('service status', {user: {name: 'carol'}, roleProvider: roleProvider}), 'all running', 'the ops user should be allowed'),
+                assert.isRejected(serviceCommand.execute('service status', {user: {name: 'bob'}, roleProvider: roleProvider}), PermissionError, 'You are not allowed to use the command service')
+            ]);
+        });
+        it('should take the roles of the users from the hubot brain', function () {
+            var robot = new FakeRobot();
+            robot.brain.userForId('dave').roles = ['admin'];
+            registerWithRobot(robot, [ShutdownCommand], {roleProvider: new BrainRoleProvider(robot)});
+            return robot.receive('shutdown', 'dave')
+                .then(function () {
+                    return robot.receive('shutdown', 'erin');
+                })
+                .then(function () {
+                    assert.deepEqual(robot.messages.map(function (message) { return message.message; }), [
+                        'shutting down',
+                        'Sorry, you are not allowed to use the command shutdown'
+                    ], 'only the user with the role in the brain should be allowed');
+                });
+        });
+
+    });
+
+    describe('Confirmations', function () {
+
+        var clock, dispatcher;
+        var alice = {user: {id: 'alice', name: 'alice'}, room: 'general'};
+        var bob = {user: {id: 'bob', name: 'bob'}, room: 'general'};
+        beforeEach(function () {
+            clock = {time: 0, now: function () { return this.time; }};
+            dispatcher = new Dispatcher({conversations: new ConversationStore({timeout: 1000, clock: clock})})
+                .addCommand(DropCommand)
+                .addCommand(TestingCommand);
+        });
+
+        it('should ask for a confirmation and run the command once it is given', function () {
+            return dispatcher.dispatch('drop users', alice)
+                .then(function (question) {
+                    assert.instanceOf(question, Question, 'the execution should result in a question');
+                    assert.equal(question.text, 'Are you sure? (yes/no)');
+                    return dispatcher.dispatch('yes', alice);
+                })
+                .then(function (result) {
+                    assert.equal(result, 'dropped users', 'the command should run once confirmed');
+                    return assert.eventually.instanceOf(dispatcher.dispatch('yes', alice), Dispatcher.NoMatchResult, 'the confirmation should be answered once');
+                });
+        });
+        it('should only ask for a confirmation when the predicate tells so', function () {
+            return assert.eventually.equal(dispatcher.dispatch('drop scratch', alice), 'dropped scratch');
+        });
+        it('should cancel the command when the confirmation is refused or another command is given', function () {
+            return dispatcher.dispatch('drop users', alice)
+                .then(function () {
+                    return assert.eventually.equal(dispatcher.dispatch('no', alice), 'The command drop was cancelled');
+                })
+                .then(function () {
+                    return dispatcher.dispatch('drop users', alice);
+                })
+                .then(function () {
+                    return assert.eventually.equal(dispatcher.dispatch('testing', alice), 'testing', 'the other command should be executed');
+                })
+                .then(function () {
+                    return assert.eventually.instanceOf(dispatcher.dispatch('yes', alice), Dispatcher.NoMatchResult, 'the confirmation should be forgotten');
+                });
+        });
+        it('should only take the confirmation of the same user in the same room before it expires', function () {
+            return dispatcher.dispatch('drop users', alice)
+                .then(function () {
+                    return Promise.all([
+                        assert.eventually.instanceOf(dispatcher.dispatch('yes', bob), Dispatcher.NoMatchResult, 'another user cannot confirm'),
+                        assert.eventually.instanceOf(dispatcher.dispatch('yes', {user: alice.user, room: 'ops'}), Dispatcher.NoMatchResult, 'the user cannot confirm from another room')
+                    ]);
+                })
+                .then(function () {
+                    clock.time = 1000;
+                    return assert.eventually.instanceOf(dispatcher.dispatch('yes', alice), Dispatcher.NoMatchResult, 'the confirmation should expire');
+                });
+        });
+        it('should send the confirmation question to the chat', function () {
+            var robot = new FakeRobot();
+            registerWithRobot(robot, [DropCommand]);
+            return robot.receive('drop users')
+                .then(function () {
+                    return robot.receive('yes');
+                })
+                .then(function () {
+                    assert.deepEqual(robot.messages.map(function (message) { return message.message; }), [
+                        'Are you sure? (yes/no)',
+                        'dropped users'
+                    ], 'the question and then the result should be sent');
+                });
+        });
+
+    });
+
+    describe('Prompting for missing parameters', function () {
+
+        var dispatcher;
+        var alice = {user: {id: 'alice', name: 'alice'}, room: 'general'};
+        beforeEach(function () {
+            dispatcher = new Dispatcher().addCommand(RemindCommand);
+        });
+        function dispatchAll(inputs) {
+            var results = [];
+            return inputs.reduce(function (previous, input) {
+                return previous.then(function () {
+                    return dispatcher.dispatch(input, alice);
+                }).then(function (result) {
+                    results.push(result);
+                });
+            }, Promise.resolve()).then(function () {
+                return results;
+            });
+        }
+
+        it('should ask for each missing parameter until the command can run', function () {
+            return dispatchAll(['remind', 'bob', 'tomorrow', '2015-12-01T09:00:00Z']).then(function (results) {
+                assert.deepEqual(results.map(String), [
+                    'Who should I remind?',
+                    'Please give the at (when to remind)',
+                    'the "at" parameter expects a date, got "tomorrow"\nPlease give the at (when to remind)',
+                    'reminding bob at 2015-12-01T09:00:00.000Z'
+                ], 'each missing parameter should be asked for, and asked again when not valid');
+            });
+        });
+        it('should only ask for the parameters that are not given', function () {
+            return assert.eventually.equal(dispatcher.dispatch('remind bob', alice).then(String), 'Please give the at (when to remind)');
+        });
+        it('should stop asking when the user cancels the command', function () {
+            return dispatchAll(['remind', 'cancel', 'bob']).then(function (results) {
+                assert.equal(results[1], 'The command remind was cancelled');
+                assert.instanceOf(results[2], Dispatcher.NoMatchResult, 'the conversation should be over');
+            });
+        });
+        it('should fail as usual without a conversations store', function () {
+            return assert.isRejected(new RemindCommand().execute('remind bob'), ParseError, 'Missing required parameters: at');
+        });
+
+    });
+
+    describe('Suggestions', function () {
+
+        it('should suggest the closest names within a few edits', function () {
+            assert.deepEqual(suggestions.suggest('frm', ['from', 'to']), ['from']);
+            assert.deepEqual(suggestions.suggest('tset from 2015', ['test', 'testing', 'deploy status']), ['test'], 'transpositions should count as one edit');
+            assert.deepEqual(suggestions.suggest('deploy stauts app', ['deploy status', 'service']), ['deploy status'], 'names of many words should be compared with as many words');
+            assert.deepEqual(suggestions.suggest('xyz', ['from', 'to']), []);
+            assert.equal(suggestions.didYouMean(['from', 'to', 'tag']), ' Did you mean from, to or tag?');
+        });
+        it('should suggest the parameters of the command in the parse errors', function () {
+            var command = new DeployCommand();
+            return Promise.all([
+                command.execute('deploy myapp --forse').then(function () {
+                    assert.fail(undefined, undefined, 'the unknown parameter should be rejected');
+                }, function (error) {
+                    assert.instanceOf(error, ParseError);
+                    assert.deepEqual(error.suggestions, ['--force']);
+                    assert.equal(error.message, 'The parameter --forse does not exist for this command. Did you mean --force?');
+                }),
+                assert.isRejected(command.execute('deploy help replica'), ParseError, 'The given parameter (replica) does not exist for this command. Did you mean replicas?'),
+                assert.isRejected(new TestCommand().execute('test frm 2015-12-01T09:00 to 2015-12-01T10:30'), ParseError, 'Did you mean from?')
+            ]);
+        });
+        it('should suggest the registered commands when no command matches the input', function () {
+            var dispatcher = new Dispatcher().addCommand(TestCommand).addCommand(TestingCommand);
+            return dispatcher.dispatch('tset from 2015').then(function (result) {
+                assert.instanceOf(result, Dispatcher.NoMatchResult);
+                assert.deepEqual(result.suggestions, ['test']);
+                assert.equal(result.message, 'No command can parse the given input (tset from 2015) Did you mean test?');
+            });
+        });
+        it('should add the suggestions to the not found message of the robot', function () {
+            var robot = new FakeRobot();
+            registerWithRobot(robot, [TestCommand, TestingCommand]);
+            return robot.receive('testign').then(function () {
+                assert.deepEqual(robot.messages, [{type: 'send', message: 'I do not understand your command. Did you mean testing?'}]);
+            });
+        });
+
+    });
+
+    describe('Middlewares', function () {
+
+        function recorder(name, calls) {
+            return {
+                beforeParse: function () { calls.push(name + ' beforeParse'); },
+                afterParse: function () { calls.push(name + ' afterParse'); },
+                beforeRun: function () { calls.push(name + ' beforeRun'); },
+                afterRun: function () { calls.push(name + ' afterRun'); }
+            };
+        }
+
+        it('should invoke the hooks of the dispatcher and then the ones of the command', function () {
+            var calls = [];
+            var command = new TestingCommand().use(recorder('command', calls));
+            var dispatcher = new Dispatcher().use(recorder('global', calls)).addCommand(command);
+            return dispatcher.dispatch('testing').then(function (result) {
+                assert.equal(result, 'testing');
+                assert.deepEqual(calls, [
+                    'global beforeParse', 'command beforeParse',
+                    'global afterParse', 'command afterParse',
+                    'global beforeRun', 'command beforeRun',
+                    'global afterRun', 'command afterRun'
+                ]);
+            });
+        });
+        it('should let the hooks transform the input, the model and the result', function () {
+            var command = new TypedCommand()
+                .use({beforeParse: function (context) { context.input = context.input.toLowerCase(); }})
+                .use({afterParse: function (context) { context.model.count = context.model.count * 10; }})
+                .use({afterRun: function (context, result) { return {wrapped: result}; }});
+            return command.execute('typed COUNT 2').then(function (result) {
+                assert.equal(result.wrapped.count, 20);
+            });
+        });
+        it('should end the execution with the result of a hook', function () {
+            var command = new TestingCommand().use({beforeRun: function () { return 'skipped'; }});
+            command.run = function () { throw new Error('the command should not run'); };
+            return assert.eventually.equal(command.execute('testing'), 'skipped');
+        });
+        it('should give the errors to the onError hooks', function () {
+            var errors = [];
+            var dispatcher = new Dispatcher()
+                .use({onError: function (context, error) { errors.push(error.message); }})
+                .addCommand(new TypedCommand().use({onError: function (context, error) {
+                    return error instanceof ParseError ? 'recovered' : undefined;
+                }}));
+            return Promise.all([
+                assert.eventually.equal(dispatcher.dispatch('typed count zero'), 'recovered'),
+                assert.isRejected(dispatcher.dispatch('typed label forbidden'), ValidationError)
+            ]).then(function () {
+                assert.lengthOf(errors, 2, 'the global hook should see every error');
+            });
+        });
+
+    });
+
+    describe('Rate limits', function () {
+
+        var clock, command, dispatcher;
+        var alice = {user: {id: 'alice', name: 'alice'}, room: 'general'};
+        var bob = {user: {id: 'bob', name: 'bob'}, room: 'general'};
+        beforeEach(function () {
+            clock = {time: 0, now: function () { return this.time; }};
+            command = new TestingCommand();
+            dispatcher = new Dispatcher({rateLimitStore: new MemoryRateLimitStore({clock: clock})}).addCommand(command);
+        });
+        function dispatchAll(inputs, options) {
+            return inputs.reduce(function (previous, input) {
+                return previous.then(function () {
+                    return dispatcher.dispatch(input, options);
+                });
+            }, Promise.resolve());
+        }
+
+        it('should allow a number of invocations per window to each user', function () {
+            command.rateLimit = {limit: 2, window: 60000};
+            return dispatchAll(['testing', 'testing'], alice)
+                .then(function () {
+                    return dispatcher.dispatch('testing', alice).then(function () {
+                        assert.fail(undefined, undefined, 'the third invocation should be rejected');
+                    }, function (error) {
+                        assert.instanceOf(error, RateLimitError);
+                        assert.equal(error.retryAfter, 60000);
+                        assert.equal(error.message, 'You are using the command testing too often, try again in 60 seconds');
+                    });
+                })
+                .then(function () {
+                    return assert.eventually.equal(dispatcher.dispatch('testing', bob), 'testing', 'the other users should not be limited');
+                })
+                .then(function () {
+                    clock.time = 60000;
+                    return assert.eventually.equal(dispatcher.dispatch('testing', alice), 'testing', 'a new window should start');
+                });
+        });
+        it('should enforce the cooldowns for the whole scope', function () {
+            command.cooldown = {duration: 10000, scope: 'room'};
+            return dispatcher.dispatch('testing', alice)
+                .then(function () {
+                    clock.time = 4000;
+                    return assert.isRejected(dispatcher.dispatch('testing', bob), RateLimitError, 'try again in 6 seconds');
+                })
+                .then(function () {
+                    return assert.eventually.equal(dispatcher.dispatch('testing', {user: bob.user, room: 'ops'}), 'testing', 'other rooms should not be limited');
+                });
+        });
+        it('should not count the executions that do not run', function () {
+            command.cooldown = 10000;
+            return dispatchAll(['testing help', 'testing'], alice).then(function (result) {
+                assert.equal(result, 'testing');
+            });
+        });
+
+    });
+
+    describe('Timeouts and cancellation', function () {
+
+        var alice = {user: {id: 'alice', name: 'alice'}, room: 'general'};
+        var bob = {user: {id: 'bob', name: 'bob'}, room: 'general'};
+
+        it('should reject with a TimeoutError and cancel the run when it takes too long', function () {
+            var context = null;
+            var command = new SlowCommand().use({beforeRun: function (runContext) { context = runContext; }});
+            command.timeout = 20;
+            return command.execute('slow 1000')
+                .then(function () {
+                    assert.fail(undefined, undefined, 'the command should time out');
+                }, function (error) {
+                    assert.instanceOf(error, TimeoutError);
+                    assert.equal(error.timeout, 20);
+                    assert.equal(error.message, 'The command slow did not finish within 0.02 seconds');
+                    assert.isTrue(context.cancellation.cancelled, 'the run method should be told');
+                });
+        });
+        it('should give the result of the commands that finish in time', function () {
+            var command = new SlowCommand();
+            command.timeout = 1000;
+            return assert.eventually.equal(command.execute('slow 5'), 'done');
+        });
+        it('should cancel the running commands of the user that asks for it', function () {
+            var dispatcher = new Dispatcher().addCommand(SlowCommand).addCommand(CancelCommand);
+            // the outcomes are awaited right away, since alice's execution fails before the end
+            var alicesExecution = assert.isRejected(dispatcher.dispatch('slow 1000', alice), CancellationError, 'The command slow was cancelled: cancelled by alice');
+            var bobsExecution = assert.eventually.equal(dispatcher.dispatch('slow 20', bob), 'done', 'the commands of other users should go on');
+            return new Promise(function (resolve) { setTimeout(resolve, 5); })
+                .then(function () {
+                    return assert.eventually.equal(dispatcher.dispatch('cancel', alice), 'Cancelled slow');
+                })
+                .then(function () {
+                    return Promise.all([
+                        alicesExecution,
+                        bobsExecution,
+                        assert.eventually.equal(dispatcher.dispatch('cancel', alice), 'You have no running commands to cancel')
+                    ]);
+                });
+        });
+
+    });
+
+    describe('Execution history', function () {
+
+        var store, dispatcher;
+        var alice = {user: {id: 'U1', name: 'alice'}, room: 'general'};
+        var bob = {user: {id: 'U2', name: 'bob'}, room: 'general'};
+        beforeEach(function () {
+            store = new MemoryHistoryStore();
+            dispatcher = new Dispatcher({historyStore: store})
+                .addCommand(DeployCommand)
+                .addCommand(DropCommand)
+                .addCommand(ServiceCommand)
+                .addCommand(HistoryCommand);
+            dispatcher.addCommand(LastCommand, dispatcher);
+        });
+        function dispatchAll(inputs, options) {
+            return inputs.reduce(function (previous, input) {
+                return previous.then(function () {
+                    return dispatcher.dispatch(input, options);
+                });
+            }, Promise.resolve());
+        }
+
+        it('should record the successful and failed executions', function () {
+            return dispatcher.dispatch('deploy app production', alice)
+                .then(function () {
+                    return assert.isRejected(dispatcher.dispatch('deploy app --replicas 0', bob), ParseError);
+                })
+                .then(function () {
+                    return store.list();
+                })
+                .then(function (entries) {
+                    assert.lengthOf(entries, 2);
+                    assert.include(entries[0], {input: 'deploy app --replicas 0', command: 'deploy', room: 'general', outcome: 'error', error: 'ParseError'});
+                    assert.deepEqual(entries[0].user, {id: 'U2', name: 'bob'});
+                    assert.include(entries[1], {input: 'deploy app production', outcome: 'success', error: null, message: null});
+                    assert.deepEqual(entries[1].model, {app: 'app', env: 'production', force: false, verbose: false});
+                    assert.isAtLeast(entries[1].duration, 0);
+                    assert.isNotNaN(Date.parse(entries[1].date));
+                });
+        });
+        it('should record the whole input of subcommands and the confirmations once answered', function () {
+            return dispatchAll(['service start web', 'drop users'], alice)
+                .then(function () {
+                    return assert.eventually.lengthOf(store.list(), 1, 'the confirmation has not been answered yet');
+                })
+                .then(function () {
+                    return dispatcher.dispatch('no', alice);
+                })
+                .then(function () {
+                    return store.list({user: alice.user, limit: 2});
+                })
+                .then(function (entries) {
+                    assert.deepEqual(entries.map(function (entry) { return entry.outcome; }), ['cancelled', 'success']);
+                    assert.equal(entries[1].input, 'service start web');
+                    assert.equal(entries[1].command, 'service start');
+                });
+        });
+        it('should record the confirmations that are abandoned or expire', function () {
+            var clock = {time: 0, now: function () { return this.time; }};
+            dispatcher = new Dispatcher({historyStore: store, conversations: new ConversationStore({timeout: 1000, clock: clock})})
+                .addCommand(DeployCommand)
+                .addCommand(DropCommand);
+            return dispatchAll(['drop users', 'deploy app', 'drop logs'], alice)
+                .then(function () {
+                    clock.time = 1000;
+                    return dispatcher.dispatch('yes', alice);
+                })
+                .then(function (result) {
+                    assert.instanceOf(result, Dispatcher.NoMatchResult, 'the expired confirmation should not be answered');
+                    return store.list({user: alice.user});
+                })
+                .then(function (entries) {
+                    assert.deepEqual(entries.map(function (entry) { return entry.input + ': ' + entry.outcome; }),
+                        ['drop logs: expired', 'deploy app: success', 'drop users: cancelled']);
+                });
+        });
+        it('should list the last commands of the user in the room', function () {
+            return dispatchAll(['deploy app', 'deploy web'], alice)
+                .then(function () {
+                    return dispatchAll(['deploy api', 'drop scratch'], bob);
+                })
+                .then(function () {
+                    return dispatcher.dispatch('history limit 1', alice);
+                })
+                .then(function (result) {
+                    assert.match(result, /^Last commands:\n\t- \S+: deploy web \(success, \d+ms\)\n$/);
+                    return assert.isRejected(dispatcher.dispatch('history all-users all-rooms', bob), PermissionError,
+                        'You are not allowed to use the parameter all-users of the command history');
+                })
+                .then(function () {
+                    return dispatcher.dispatch('history all-users', {user: {id: 'U3', name: 'carol', roles: ['admin']}, room: 'general'});
+                })
+                .then(function (result) {
+                    assert.include(result, 'bob: drop scratch (success');
+                    assert.include(result, 'alice: deploy app (success');
+                });
+        });
+        it('should execute again a previous command of the user', function () {
+            return dispatchAll(['deploy app', 'drop scratch', 'last'], alice)
+                .then(function (result) {
+                    assert.equal(result, 'dropped scratch');
+                    return dispatcher.dispatch('last 3', alice);
+                })
+                .then(function (result) {
+                    assert.propertyVal(result, 'app', 'app', 'the executions of last should be skipped');
+                    return assert.eventually.equal(dispatcher.dispatch('last', bob), 'You have no previous command to execute');
+                });
+        });
+        it('should keep the entries in a JSON lines file', function () {
+            var path = require('path').join(require('os').tmpdir(), 'hubot-commands-history-' + process.pid + '.jsonl');
+            var fileStore = new FileHistoryStore(path);
+            return fileStore.add({input: 'deploy app', user: alice.user, room: 'general'})
+                .then(function () {
+                    return fileStore.add({input: 'deploy web', user: bob.user, room: 'general'});
+                })
+                .then(function () {
+                    return fileStore.list({user: alice.user});
+                })
+                .then(function (entries) {
+                    assert.deepEqual(entries, [{input: 'deploy app', user: alice.user, room: 'general'}]);
+                    assert.lengthOf(require('fs').readFileSync(path, 'utf8').split('\n'), 3, 'each entry should be a line');
+                })
+                .finally(function () {
+                    require('fs').unlinkSync(path);
+                });
+        });
+
+    });
+
+    describe('Scheduled commands', function () {
+
+        var robot, storage, clock, dispatcher, scheduler;
+        var alice = {user: {id: 'U1', name: 'alice'}, room: 'general'};
+        var bob = {user: {id: 'U2', name: 'bob'}, room: 'general'};
+        beforeEach(function () {
+            robot = new FakeRobot();
+            storage = new MemoryStorage();
+            clock = new FakeClock();
+            dispatcher = new Dispatcher().addCommand(TestingCommand);
+            scheduler = new Scheduler(dispatcher, {robot: robot, storage: storage, clock: clock});
+            dispatcher.addCommand(ScheduleCommand, scheduler);
+        });
+        afterEach(function () {
+            scheduler.stop();
+        });
+
+        it('should understand relative, recurring and cron schedules', function () {
+            var now = new Date(2016, 0, 1, 8, 0).getTime(); // a friday
+            var weekdays = schedules.parseSchedule('every weekday at 09:00', now);
+            assert.deepEqual(weekdays, {type: 'cron', expression: '0 9 * * 1-5'});
+            assert.equal(schedules.nextRun(weekdays, now), new Date(2016, 0, 1, 9, 0).getTime());
+            assert.equal(schedules.nextRun(weekdays, new Date(2016, 0, 1, 9, 0).getTime()), new Date(2016, 0, 4, 9, 0).getTime(), 'the weekend should be skipped');
+            assert.deepEqual(schedules.parseSchedule('in 1h30m', now), {type: 'once', at: now + 90 * 60000});
+            assert.deepEqual(schedules.parseSchedule('at 07:00', now), {type: 'once', at: new Date(2016, 0, 2, 7, 0).getTime()});
+            assert.equal(schedules.nextRun(schedules.parseSchedule('every 30m', now), now), now + 30 * 60000);
+            assert.equal(schedules.nextRun(schedules.parseSchedule('cron */15 * 29 2 *', now), now), new Date(2016, 1, 29, 0, 0).getTime());
+            assert.throws(function () { schedules.parseSchedule('every fortnight', now); }, ParseError, 'The schedule (every fortnight) is not valid');
+        });
+        it('should execute the scheduled commands and post their results to the room', function () {
+            return dispatcher.dispatch('schedule testing in 20m', alice)
+                .then(function (result) {
+                    assert.match(result, /^Scheduled #1 \(testing\) in 20m, next at /);
+                    return clock.tick(19 * 60000);
+                })
+                .then(function () {
+                    assert.lengthOf(robot.messages, 0, 'the job should not be executed before it is due');
+                    return clock.tick(60000);
+                })
+                .then(function () {
+                    assert.deepEqual(robot.messages, [{type: 'room', room: 'general', message: 'testing'}]);
+                    return assert.eventually.lengthOf(scheduler.list(), 0, 'the job should be removed once executed');
+                });
+        });
+        it('should not schedule what cannot be executed', function () {
+            return assert.isRejected(dispatcher.dispatch('schedule "tseting" in 1h', alice), ParseError, 'No command can parse the given input (tseting) Did you mean testing?')
+                .then(function () {
+                    return assert.isRejected(dispatcher.dispatch('schedule testing every now and then', alice), ParseError, 'is not valid');
+                });
+        });
+        it('should keep running the recurring jobs when their results cannot be posted', function () {
+            var attempts = 0;
+            robot.messageRoom = function () {
+                attempts++;
+                throw new Error('adapter down');
+            };
+            return dispatcher.dispatch('schedule testing every 20m', alice)
+                .then(function () {
+                    return clock.tick(60 * 60000);
+                })
+                .then(function () {
+                    assert.strictEqual(attempts, 3, 'the job should be executed again');
+                    return assert.eventually.lengthOf(scheduler.list(), 1, 'the job should be kept');
+                });
+        });
+        it('should execute the jobs with the roles of the user that scheduled them', function () {
+            var admin = {user: {id: 'U3', name: 'carol', roles: ['admin']}, room: 'general'};
+            dispatcher.addCommand(ShutdownCommand);
+            return assert.isRejected(dispatcher.dispatch('schedule shutdown in 20m', alice), PermissionError, 'You are not allowed to use the command shutdown')
+                .then(function () {
+                    return dispatcher.dispatch('schedule shutdown in 20m', admin);
+                })
+                .then(function () {
+                    return clock.tick(20 * 60000);
+                })
+                .then(function () {
+                    assert.deepEqual(robot.messages, [{type: 'room', room: 'general', message: 'shutting down'}]);
+                });
+        });
+        it('should schedule the aliases of the user', function () {
+            var macros = new MacroStore();
+            dispatcher = new Dispatcher({macros: macros}).addCommand(TestingCommand);
+            scheduler = new Scheduler(dispatcher, {robot: robot, storage: storage, clock: clock});
+            dispatcher.addCommand(ScheduleCommand, scheduler);
+            return macros.define('t', 'testing', 'user', alice)
+                .then(function () {
+                    return dispatcher.dispatch('schedule t in 20m', alice);
+                })
+                .then(function (result) {
+                    assert.match(result, /^Scheduled #1 \(t\) in 20m/);
+                    return clock.tick(20 * 60000);
+                })
+                .then(function () {
+                    assert.deepEqual(robot.messages, [{type: 'room', room: 'general', message: 'testing'}]);
+                });
+        });
+        it('should keep the jobs in the storage and let their owner cancel them', function () {
+            return dispatcher.dispatch('schedule testing every weekday at 09:00', alice)
+                .then(function () {
+                    scheduler.stop();
+                    scheduler = new Scheduler(dispatcher, {robot: robot, storage: storage, clock: clock});
+                    dispatcher = new Dispatcher().addCommand(TestingCommand).addCommand(ScheduleCommand, scheduler);
+                    return scheduler.start();
+                })
+                .then(function (jobs) {
+                    assert.lengthOf(jobs, 1, 'the job should be loaded');
+                    return dispatcher.dispatch('schedule list', bob);
+                })
+                .then(function (result) {
+                    assert.match(result, /^Scheduled commands:\n\t- #1 testing every weekday at 09:00 \(next at \S+, by alice\)\n$/);
+                    return assert.isRejected(dispatcher.dispatch('schedule cancel 1', bob), PermissionError);
+                })
+                .then(function () {
+                    return assert.eventually.equal(dispatcher.dispatch('schedule cancel 1', alice), 'Cancelled #1 (testing)');
+                })
+                .then(function () {
+                    return assert.eventually.equal(dispatcher.dispatch('schedule list', alice), 'No command is scheduled in this room');
+                });
+        });
+
+    });
+
+    describe('Tokenizer', function () {
+
+        it('should split the input on any amount of whitespace', function () {
+            assert.deepEqual(tokenize('  test \t from   2015 '), [
+                {value: 'test', literal: false},
+                {value: 'from', literal: false},
+                {value: '2015', literal: false}
+            ], 'the whitespace should not produce empty tokens');
+        });
+        it('should keep quoted and escaped values in a single literal token', function () {
+            assert.deepEqual(tokenize('message "send to \\"the\\" team" \'it\\\'s\' as\\ bot ""'), [
+                {value: 'message', literal: false},
+                {value: 'send to "the" team', literal: true},
+                {value: "it's", literal: true},
+                {value: 'as bot', literal: true},
+                {value: '', literal: true}
+            ], 'the quoted and escaped values should be kept together');
+        });
+        it('should throw a ParseError when a quote is not closed', function () {
+            assert.throws(function () {
+                tokenize('message "send to team');
+            }, ParseError, 'The quote (") is not closed');
+        });
+        it('should keep the quotes inside words, such as apostrophes, as they are', function () {
+            assert.deepEqual(tokenize("note don't forget it's 5 o'clock \"rock 'n' roll\""), [
+                {value: 'note', literal: false},
+                {value: "don't", literal: false},
+                {value: 'forget', literal: false},
+                {value: "it's", literal: false},
+                {value: '5', literal: false},
+                {value: "o'clock", literal: false},
+                {value: "rock 'n' roll", literal: true}
+            ], 'only the quotes that begin a token should group words');
+            assert.deepEqual(splitChain("say don't stop | say it's 'a; b' && count"), [
+                {input: "say don't stop", operator: null},
+                {input: "say it's 'a; b'", operator: '|'},
+                {input: 'count', operator: '&&'}
+            ], 'the chains should find the quotes the same way');
+        });
+        it('should let a command take parameter names inside quoted values', function () {
+            var typedCommand = new TypedCommand();
+            return typedCommand.execute('typed   label "count 3 at  noon"   count  3').then(function (model) {
+                assert.strictEqual(model.label, 'count 3 at  noon', 'the quoted value should be kept as is');
+                assert.strictEqual(model.count, 3, 'the parameter after the quoted value should be parsed');
+            });
+        });
+
+    });
+
+    describe('Flags syntax and positional parameters', function () {
+
+        it('should parse positional values, long and short parameters and flags', function () {
+            var deployCommand = new DeployCommand();
+            return deployCommand.execute('deploy myapp production --force --tag=v1 -t "v 2" -r 3').then(function (model) {
+                assert.strictEqual(model.app, 'myapp', 'the first positional value should be parsed');
+                assert.strictEqual(model.env, 'production', 'the second positional value should be parsed');
+                assert.strictEqual(model.force, true, 'the flag should be set');
+                assert.strictEqual(model.verbose, false, 'the missing flag should take its default value');
+                assert.deepEqual(model.tag, ['v1', 'v 2'], 'the long and short parameter values should be parsed');
+                assert.strictEqual(model.replicas, 3, 'the short parameter value should be parsed');
+            });
+        });
+        it('should parse grouped flags and explicit flag values', function () {
+            var deployCommand = new DeployCommand();
+            return deployCommand.execute('deploy -fv --force=no -- --myapp').then(function () {
+                assert.fail('the flag given twice should be rejected');
+            }, function (error) {
+                assert.equal(error.message, 'The parameter force cannot be given more than once', 'the flag given twice should be rejected');
+                return new DeployCommand().execute('deploy -fv -- --myapp');
+            }).then(function (model) {
+                assert.strictEqual(model.app, '--myapp', 'the values after -- should be positional');
+                assert.strictEqual(model.env, 'staging', 'the missing positional value should take its default value');
+                assert.strictEqual(model.force, true, 'the grouped flag should be set');
+                assert.strictEqual(model.verbose, true, 'every grouped flag should be set');
+                return new DeployCommand().execute('deploy myapp --force=no');
+            }).then(function (model) {
+                assert.strictEqual(model.force, false, 'the explicit flag value should be parsed');
+            });
+        });
+        it('should throw a ParseError for unknown parameters, missing values and extra positional values', function () {
+            return Promise.all([
+                assert.isRejected(new DeployCommand().execute('deploy myapp --unknown'), ParseError, 'The parameter --unknown does not exist for this command.'),
+                assert.isRejected(new DeployCommand().execute('deploy myapp -r'), ParseError, 'The parameter -r needs a value'),
+                assert.isRejected(new DeployCommand().execute('deploy myapp -fr 3'), ParseError, 'The parameter -r needs a value and cannot be grouped with others'),
+                assert.isRejected(new DeployCommand().execute('deploy myapp production other'), ParseError, 'The value (other) does not belong to any parameter of the command deploy')
+            ]);
+        });
+        it('should take the values before the first parameter name as positional in the keyword syntax', function () {
+            var testingCommand = new TestingCommand();
+            testingCommand.addParameter({name: 'target', positional: true});
+            testingCommand.addParameter({name: 'notify', type: 'boolean'});
+            return testingCommand.execute('testing "the target" notify').then(function () {
+                assert.strictEqual(testingCommand.model.target, 'the target', 'the positional value should be parsed');
+                assert.strictEqual(testingCommand.model.notify, true, 'the boolean without value should be set');
+            });
+        });
+
+    });
+
+    describe('Aliases', function () {
+
+        it('should trigger the commands and their parameters by their aliases', function () {
+            var dispatcher = new Dispatcher().addCommand(DeployCommand);
+            return Promise.all([
+                dispatcher.dispatch('ship myapp --instances 3').then(function (model) {
+                    assert.equal(model.app, 'myapp');
+                    assert.equal(model.replicas, 3, 'the alias of the parameter should give it its value');
+                }),
+                assert.eventually.deepEqual(dispatcher.dispatch('Ship myapp'), new Dispatcher.NoMatchResult('Ship myapp', ['ship']), 'the names should match case-sensitively by default')
+            ]);
+        });
+        it('should match the names regardless of their case when asked for', function () {
+            var command = new DeployCommand();
+            command.caseInsensitive = true;
+            return command.execute('SHIP myapp --Replicas 2').then(function (model) {
+                assert.equal(model.replicas, 2);
+            });
+        });
+        it('should show the aliases in the help and store them in the registry', function () {
+            var registry = new CommandRegistry();
+            return Promise.all([
+                assert.eventually.match(new DeployCommand().execute('deploy help'), /\nAliases: ship\n[\s\S]*\t- replicas \(instances\): how many instances\n/),
+                assert.eventually.equal(new DeployCommand().execute('ship help instances'), 'replicas (instances):\n\t'),
+                registry.add(new DeployCommand()).then(function () {
+                    return assert.eventually.deepEqual(registry.get('deploy').then(function (command) { return command.aliases; }), ['ship']);
+                })
+            ]);
+        });
+
+    });
+
+    describe('Subcommands', function () {
+
+        it('should route the input to the named subcommand', function () {
+            return Promise.all([
+                assert.eventually.equal(new ServiceCommand().execute('service start web'), 'started web', 'the start subcommand should be executed'),
+                assert.eventually.equal(new ServiceCommand().execute('service status'), 'all running', 'the status subcommand should be executed'),
+                assert.isRejected(new ServiceCommand().execute('service start broken'), ValidationError, 'The arguments passed to the parameter are not valid')
+            ]);
+        });
+        it('should throw a ParseError when no subcommand is named', function () {
+            return assert.isRejected(new ServiceCommand().execute('service web'), ParseError, 'The command service needs one of the subcommands: start, status');
+        });
+        it('should list the subcommands in the help', function () {
+            var helpResult = "Manages the services\n\nUsage: service <start|status> ...\n\nSubcommands:\n";
+            helpResult += "\t- start: Starts a service\n";
+            helpResult += "\t- status: Tells the status of every service\n";
+            return assert.eventually.equal(new ServiceCommand().execute('service help'), helpResult, 'the help should list the subcommands');
+        });
+        it('should give the help of a subcommand', function () {
+            return Promise.all([
+                assert.eventually.equal(new ServiceCommand().execute('service help start'), 'service start:\n\tStarts a service', 'the help of the subcommand should be given by name'),
+                assert.eventually.match(new ServiceCommand().execute('service start help'), /^Starts a service\n\nUsage: service start <service>\n\nParameters:\n\t- service: the service to start\n/, 'the subcommand should give its own help')
+            ]);
+        });
+
+    });
+
+    describe('Typed parameters', function () {
+
+        it('should convert every value to the type of its parameter', function () {
+            var typedCommand = new TypedCommand();
+            return typedCommand.execute('typed at 2015-12-01T09:00 count 3 ratio 0.5 env PRODUCTION every 1h 30m notify yes owner @alice label nightly run')
+                .then(function (model) {
+                    assert.equal(model.at.getTime(), new Date('2015-12-01T09:00').getTime(), 'the date should be converted');
+                    assert.strictEqual(model.count, 3, 'the integer should be converted');
+                    assert.strictEqual(model.ratio, 0.5, 'the number should be converted');
+                    assert.strictEqual(model.env, 'production', 'the enum value should be the declared one');
+                    assert.strictEqual(model.every, 90 * 60 * 1000, 'the duration should be converted to milliseconds');
+                    assert.strictEqual(model.notify, true, 'the boolean should be converted');
+                    assert.strictEqual(model.owner, 'alice', 'the user name should not keep the mention symbol');
+                    assert.strictEqual(model.label, 'nightly run', 'the string should be kept as is');
+                });
+        });
+        it('should fill the default values and collect the multiple values', function () {
+            var typedCommand = new TypedCommand();
+            return typedCommand.execute('typed tag first tag second').then(function (model) {
+                assert.strictEqual(model.notify, false, 'the missing parameter should take its default value');
+                assert.deepEqual(model.tag, ['first', 'second'], 'every value of the multiple parameter should be kept');
+                assert.notProperty(model, 'label', 'the missing parameter without default should not be in the model');
+            });
+        });
+        it('should validate the value of each parameter before the command', function () {
+            var typedCommand = new TypedCommand();
+            return typedCommand.execute('typed label forbidden').then(function () {
+                assert.fail('the reserved label should be rejected');
+            }, function (error) {
+                assert.instanceOf(error, ValidationError, 'the reserved label should be a validation error');
+                assert.deepEqual(error.errors, [{parameter: 'label', message: 'is a reserved label', value: 'forbidden'}], 'the reason should be given by the parameter');
+            });
+        });
+        it('should use the declared help of the typed parameters', function () {
+            var typedCommand = new TypedCommand();
+            assert.equal(typedCommand.getParameter('at').help.header, 'when to do it', 'the help string should be the header');
+            assert.equal(typedCommand.getParameter('label').help.detail, 'Any text to label the run.', 'the help object should give the detail');
+        });
+        it('should throw a ParseError with a consistent message for values of the wrong type', function () {
+            var invalidInputs = {
+                'typed at someday': 'the "at" parameter expects a date, got "someday"',
+                'typed count 2.5': 'the "count" parameter expects an integer, got "2.5"',
+                'typed count 0': 'the "count" parameter expects a number not lower than 1, got "0"',
+                'typed env testing': 'the "env" parameter expects one of production, staging, got "testing"',
+                'typed every soon': 'the "every" parameter expects a duration such as 1h30m, got "soon"',
+                'typed notify maybe': 'the "notify" parameter expects yes or no, got "maybe"',
+                'typed ratio': 'the "ratio" parameter cannot be empty'
+            };
+            return Promise.all(Object.keys(invalidInputs).map(function (input) {
+                return assert.isRejected(new TypedCommand().execute(input), ParseError, invalidInputs[input]);
+            }));
+        });
+        it('should refuse unknown parameter types', function () {
+            assert.throws(function () {
+                new TestCommand().addParameter({name: 'other', type: 'unknown'});
+            }, /the parameter type "unknown" does not exist/);
+            assert.throws(function () {
+                new TestCommand().addParameter({name: 'other', type: 'toString'});
+            }, /the parameter type "toString" does not exist/, 'the properties of every object should not be types');
+        });
+
+    });
+
+    describe('Asynchronous parsing and validation', function () {
+
+        it('should give each execution its own model while they wait for one another', function () {
+            var dispatcher = new Dispatcher().addCommand(new LegacyTestCommand());
+            return Promise.all([
+                dispatcher.dispatch('legacy from 2015-12-01T09:00 to 2015-12-01T10:30'),
+                dispatcher.dispatch('legacy from 2015-12-01T09:00 to 2015-12-01T10:30')
+            ]).then(function (models) {
+                assert.notStrictEqual(models[0], models[1], 'each execution should have its own model');
+                assert.isTrue(models[0].executed && models[1].executed, 'both executions should succeed');
+            });
+        });
+
+        it('should wait for the parameters that parse and validate asynchronously', function () {
+            return Promise.all([
+                assert.eventually.equal(new RepoCommand().execute('repo library branch dev'), 'library@dev'),
+                assert.isRejected(new RepoCommand().execute('repo unknown'), ParseError, 'the repository unknown does not exist'),
+                assert.isRejected(new RepoCommand().execute('repo library branch gone'), ValidationError, 'branch: the branch was deleted')
+            ]);
+        });
+        it('should turn the failures of the parameters into ParseErrors', function () {
+            return new RepoCommand().execute('repo offline').then(function () {
+                assert.fail(undefined, undefined, 'the command should be rejected');
+            }, function (error) {
+                assert.instanceOf(error, ParseError);
+                assert.equal(error.message, 'the "repo" parameter could not be parsed: the backend is down');
+                assert.equal(error.cause.message, 'the backend is down', 'the original error should be kept');
+            });
+        });
+        it('should wait for the validation of the command', function () {
+            return assert.isRejected(new RepoCommand().execute('repo archive branch master'), ValidationError, 'branch: is read only in the archive');
+        });
+        it('should parse the values of the parameters at the same time when asked for', function () {
+            var command = new RepoCommand();
+            command.parallelParsing = true;
+            return assert.eventually.equal(command.execute('repo library branch dev'), 'library@dev');
+        });
+
+    });
+
+    describe('Dispatcher object', function () {
+
+        var dispatcher;
+        beforeEach(function () {
+            dispatcher = new Dispatcher()
+                .addCommand(TestCommand)
+                .addCommand(TestingCommand);
+        });
+
+        it('should select the command whose name matches the input', function () {
+            assert.strictEqual(dispatcher.match('test from 2015-12-01T09:00 to 2015-12-01T10:30'), TestCommand, 'the test input should be matched to the test command');
+            assert.strictEqual(dispatcher.match('testing'), TestingCommand, 'the testing input should be matched to the testing command');
+        });
+        it('should execute the input with the matching command', function () {
+            return assert.eventually.equal(dispatcher.dispatch('testing'), 'testing', 'the testing command should have been executed');
+        });
+        it('should execute each input with a fresh command instance', function () {
+            return dispatcher.dispatch('test from 2015-12-01T09:00 to 2015-12-01T10:30')
+                .then(function (firstModel) {
+                    return dispatcher.dispatch('test from 2015-12-01T09:00 to 2015-12-01T10:30')
+                        .then(function (secondModel) {
+                            assert.notStrictEqual(firstModel, secondModel, 'each invocation should produce its own model');
+                        });
+                });
+        });
+        it('should give the help of the commands in the configured format', function () {
+            var markdownDispatcher = new Dispatcher({helpFormat: 'markdown'}).addCommand(TestCommand);
+            return assert.eventually.match(markdownDispatcher.dispatch('test help'), /^\*\*test\*\*: /, 'the help should be rendered in markdown');
+        });
+        it('should resolve with a no match result when no command accepts the input', function () {
+            return dispatcher.dispatch('unknown command').then(function (result) {
+                assert.instanceOf(result, Dispatcher.NoMatchResult, 'the result should be a no match result');
+                assert.isFalse(result.matched, 'the result should not be matched');
+                assert.equal(result.input, 'unknown command', 'the result should hold the unmatched input');
+            });
+        });
+        it('should not accept the inputs that are not strings, whatever the options', function () {
+            var fullDispatcher = new Dispatcher({chaining: true, macros: new MacroStore()}).addCommand(TestingCommand);
+            return Promise.all([dispatcher.dispatch(undefined), fullDispatcher.dispatch(undefined), fullDispatcher.dispatch(42)])
+                .then(function (results) {
+                    results.forEach(function (result) {
+                        assert.instanceOf(result, Dispatcher.NoMatchResult, 'the result should be a no match result');
+                    });
+                });
+        });
+
+    });
+
+    describe('Chaining', function () {
+
+        var dispatcher;
+        beforeEach(function () {
+            dispatcher = new Dispatcher({chaining: true})
+                .addCommand(TestingCommand)
+                .addCommand(DeployCommand)
+                .addCommand(CountCommand)
+                .addCommand(WhoamiCommand);
+        });
+
+        it('should leave the operators to the commands unless chaining is enabled', function () {
+            var plainDispatcher = new Dispatcher().addCommand(TypedCommand);
+            return plainDispatcher.dispatch('typed label a;b|c&&d').then(function (model) {
+                assert.equal(model.label, 'a;b|c&&d', 'the input should not be split');
+            });
+        });
+        it('should execute the next commands depending on the operators', function () {
+            return dispatcher.dispatch('testing ; deploy && testing ; testing').then(function (result) {
+                assert.instanceOf(result, Dispatcher.ChainResult);
+                assert.deepEqual(result.stages.map(function (stage) { return stage.status; }), ['success', 'error', 'skipped', 'success']);
+                assert.isFalse(result.succeeded);
+                assert.instanceOf(result.failedStages[0].error, ParseError);
+                assert.deepEqual(result.failedStages[0].error.stage, {position: 2, input: 'deploy'}, 'the error should tell which stage failed');
+            });
+        });
+        it('should pipe the result of a command to the next one', function () {
+            return dispatcher.dispatch('deploy app -t a -t b | count', {user: {name: 'alice'}, room: 'general'}).then(function (result) {
+                assert.isTrue(result.succeeded);
+                assert.deepEqual(result.outputs().map(function (stage) { return stage.result; }), [1], 'only the last result should be an output');
+                assert.isTrue(result.stages[0].piped);
+                return assert.eventually.equal(dispatcher.dispatch('count "a | b;\nc"'), 2, 'the quoted operators should not chain');
+            });
+        });
+        it('should tell the robot users which command of the chain failed', function () {
+            var robot = new FakeRobot();
+            registerWithRobot(robot, dispatcher);
+            return robot.receive('testing | count && unknown ; whoami').then(function () {
+                assert.deepEqual(robot.messages.map(function (message) { return message.message; }), [
+                    1,
+                    'The stage 3 (unknown) failed: I could not understand your command: No command can parse the given input (unknown)',
+                    'alice in general'
+                ]);
+            });
+        });
+
+    });
+
+    describe('Macros', function () {
+
+        var storage, macros, dispatcher;
+        var alice = {user: {id: 'U1', name: 'alice'}, room: 'general'};
+        var bob = {user: {id: 'U2', name: 'bob'}, room: 'general'};
+        beforeEach(function () {
+            storage = new MemoryStorage();
+            macros = new MacroStore(storage);
+            dispatcher = new Dispatcher({macros: macros, chaining: true})
+                .addCommand(TestCommand)
+                .addCommand(DeployCommand)
+                .addCommand(WhoamiCommand);
+            dispatcher.addCommand(AliasCommand);
+        });
+
+        it('should expand the placeholders, or add the arguments at the end', function () {
+            return macros.define('ship', 'deploy $1 production --tag $*', 'user', alice)
+                .then(function () {
+                    return macros.define('standup', 'test from 2015-12-01T09:00', 'room', alice);
+                })
+                .then(function () {
+                    return assert.eventually.equal(macros.expand('ship app "v 1"', alice), 'deploy app production --tag app "v 1"');
+                })
+                .then(function () {
+                    return assert.eventually.equal(macros.expand('standup to 2015-12-01T10:30 ; ship', bob), 'test from 2015-12-01T09:00 to 2015-12-01T10:30 ; ship', 'the macros of other users should not be expanded');
+                })
+                .then(function () {
+                    return assert.isRejected(macros.expand('ship', alice), ParseError, 'The alias ship needs at least 1 argument');
+                })
+                .then(function () {
+                    return macros.define('release', 'deploy $1 $2 --force', 'user', alice);
+                })
+                .then(function () {
+                    return assert.eventually.equal(macros.expand('release app production --tag "v 1"', alice), 'deploy app production --force --tag "v 1"', 'the arguments left should be added at the end');
+                })
+                .then(function () {
+                    return assert.isRejected(macros.expand('release app', alice), ParseError, 'The alias release needs at least 2 arguments');
+                });
+        });
+        it('should detect the recursive definitions', function () {
+            return macros.define('a', 'b $1', 'user', alice)
+                .then(function () {
+                    return assert.isRejected(macros.define('b', 'whoami ; a', 'user', alice), ParseError, 'The alias b is recursive: b -> a -> b');
+                })
+                .then(function () {
+                    return storage.set('hubot-commands.macros.room.general.b', {name: 'b', expansion: 'a', scope: 'room', owner: 'general'});
+                })
+                .then(function () {
+                    return assert.isRejected(macros.expand('a', alice), ParseError, 'The alias a is recursive: a -> b -> a');
+                });
+        });
+        it('should define, use, list and remove the aliases through the alias command', function () {
+            return dispatcher.dispatch('alias define standup = test from 2015-12-01T09:00 to 2015-12-01T10:30', alice)
+                .then(function (result) {
+                    assert.equal(result, 'Defined the alias standup for you');
+                    return dispatcher.dispatch('alias define room me = whoami', bob);
+                })
+                .then(function () {
+                    return new Dispatcher({macros: new MacroStore(storage)}).addCommand(TestCommand).dispatch('standup', alice);
+                })
+                .then(function (model) {
+                    assert.deepEqual(model.from, new Date('2015-12-01T09:00'), 'the aliases should be kept in the storage');
+                    return assert.eventually.equal(dispatcher.dispatch('me', alice), 'alice in general');
+                })
+                .then(function () {
+                    return assert.eventually.equal(dispatcher.dispatch('alias list', alice), 'Aliases:\n\t- standup = test from 2015-12-01T09:00 to 2015-12-01T10:30\n\t- me = whoami (room)\n');
+                })
+                .then(function () {
+                    return assert.isRejected(dispatcher.dispatch('alias define deploy = whoami', alice), ParseError, 'would hide the command');
+                })
+                .then(function () {
+                    return assert.isRejected(dispatcher.dispatch('alias define room me = deploy app', alice), PermissionError, 'You can only redefine the aliases you defined, me was defined by bob');
+                })
+                .then(function () {
+                    return assert.isRejected(dispatcher.dispatch('alias remove room me', alice), PermissionError, 'You can only remove the aliases you defined');
+                })
+                .then(function () {
+                    return assert.eventually.equal(dispatcher.dispatch('alias remove room me', bob), 'Removed the alias me');
+                })
+                .then(function () {
+                    return assert.eventually.instanceOf(dispatcher.dispatch('me', alice), Dispatcher.NoMatchResult);
+                });
+        });
+        it('should not let the aliases hide the commands of the dispatcher', function () {
+            return assert.isRejected(dispatcher.dispatch('alias define room whoami = deploy app', alice), ParseError, 'The alias whoami would hide the command with the same name')
+                .then(function () {
+                    // defined before the command was added
+                    return macros.define('whoami', 'deploy app', 'room', alice);
+                })
+                .then(function () {
+                    return assert.eventually.equal(dispatcher.dispatch('whoami', bob), 'bob in general', 'the command should be executed');
+                });
+        });
+        it('should define the aliases that chain commands as they are written', function () {
+            return macros.define('me', 'test', 'user', alice)
+                .then(function () {
+                    return dispatcher.dispatch('alias define both = whoami && me', alice);
+                })
+                .then(function (result) {
+                    assert.equal(result, 'Defined the alias both for you', 'the definition should not be split into a chain');
+                    return assert.eventually.propertyVal(macros.get('both', alice), 'expansion', 'whoami && me', 'the macros of the expansion should not be expanded');
+                })
+                .then(function () {
+                    return macros.define('me', 'whoami', 'user', alice);
+                })
+                .then(function () {
+                    return dispatcher.dispatch('both', alice);
+                })
+                .then(function (result) {
+                    assert.instanceOf(result, Dispatcher.ChainResult);
+                    assert.deepEqual(result.outputs().map(function (stage) { return stage.result; }), ['alice in general', 'alice in general']);
+                });
+        });
+
+    });
+
+    describe('Robot integration', function () {
+
+        var robot;
+        beforeEach(function () {
+            robot = new FakeRobot();
+        });
+
+        it('should install a respond listener by default', function () {
+            registerWithRobot(robot, [TestCommand, TestingCommand]);
+            assert.lengthOf(robot.listeners, 1, 'a single listener should be installed');
+            assert.equal(robot.listeners[0].type, 'respond', 'the listener should be a respond listener');
+        });
+        it('should send the result of the matching command', function () {
+            registerWithRobot(robot, [TestCommand, TestingCommand]);
+            return robot.receive('testing').then(function () {
+                assert.deepEqual(robot.messages, [{type: 'send', message: 'testing'}], 'the result of the command should be sent');
+            });
+        });
+        it('should reply instead of sending when asked for', function () {
+            registerWithRobot(robot, [TestingCommand], {reply: true, respond: false, pattern: /^bot (.*)$/});
+            assert.equal(robot.listeners[0].type, 'hear', 'the listener should be a hear listener');
+            return robot.receive('bot testing').then(function () {
+                assert.deepEqual(robot.messages, [{type: 'reply', message: 'testing'}], 'the result of the command should be replied');
+            });
+        });
+        it('should send a friendly message when the command is not valid', function () {
+            registerWithRobot(robot, [TestCommand]);
+            return robot.receive('test from 2015-12-01T10:30 to 2015-12-01T09:00').then(function () {
+                assert.lengthOf(robot.messages, 1, 'a single message should be sent');
+                assert.match(robot.messages[0].message, /^Your command is not valid: /, 'the validation error should be explained');
+            });
+        });
+        it('should send the not found message when no command matches the input', function () {
+            registerWithRobot(robot, [TestCommand], {notFound: (input) => 'what is ' + input + '?'});
+            return robot.receive('unknown').then(function () {
+                assert.deepEqual(robot.messages, [{type: 'send', message: 'what is unknown?'}], 'the not found message should be sent');
+            });
+        });
+
+    });
+
+    describe('Help command', function () {
+
+        var dispatcher;
+        beforeEach(function () {
+            var registry = new CommandRegistry();
+            dispatcher = new Dispatcher()
+                .addCommand(TestCommand)
+                .addCommand(ServiceCommand)
+                .addCommand(TestingCommand);
+            dispatcher.addCommand(HelpCommand, registry, dispatcher);
+            return dispatcher.publish(registry);
+        });
+
+        it('should list every registered command with its description', function () {
+            var listResult = "Available commands:\n";
+            listResult += "\t- help: Lists the available commands, or gives the help of one of them\n";
+            listResult += "\t- service: Manages the services\n";
+            listResult += "\t- test: A test command to prove that the library works\n";
+            listResult += "\t- testing: A command whose name shares a prefix with the test command\n";
+            return assert.eventually.equal(dispatcher.dispatch('help'), listResult, 'every command should be listed');
+        });
+        it('should filter the listed commands by category and keyword', function () {
+            return Promise.all([
+                assert.eventually.equal(dispatcher.dispatch('help --category OPS'), "Available commands:\n\t- service: Manages the services\n", 'only the commands of the category should be listed'),
+                assert.eventually.equal(dispatcher.dispatch('help --search prefix'), "Available commands:\n\t- testing: A command whose name shares a prefix with the test command\n", 'only the commands with the keyword should be listed'),
+                assert.eventually.equal(dispatcher.dispatch('help --search nothing'), 'No command matches the given filters', 'no command should be listed')
+            ]);
+        });
+        it('should delegate the help of a command to the command itself', function () {
+            return Promise.all([
+                assert.eventually.match(dispatcher.dispatch('help test'), /^A test command to prove that the library works\n\nUsage: test /, 'the general help of the command should be given'),
+                assert.eventually.equal(dispatcher.dispatch('help test from'), 'from:\n\tFrom when to start the command. ISO8601 date format expected.', 'the help of the parameter should be given'),
+                assert.isRejected(dispatcher.dispatch('help unknown'), ParseError, 'The command (unknown) does not exist')
+            ]);
+        });
+        it('should give the help of the commands named as the filters', function () {
+            var searchCommand = new Command('search');
+            searchCommand.help = 'Searches the logs';
+            searchCommand.run = function () {};
+            dispatcher.addCommand(searchCommand);
+            return Promise.all([
+                assert.eventually.match(dispatcher.dispatch('help search'), /^Searches the logs\n\nUsage: search/, 'the command should take precedence'),
+                assert.isRejected(dispatcher.dispatch('help category'), ParseError, 'The command (category) does not exist')
+            ]);
+        });
+
+    });
+
+    describe('CommandRegistry object', function () {
+
+        var storageBackends = {
+            'memory': function () { return new MemoryStorage(); },
+            'hubot brain': function () { return new BrainStorage(new FakeRobot()); }
+        };
+
+        Object.keys(storageBackends).forEach(function (backendName) {
+
+            describe('with a ' + backendName + ' storage', function () {
+
+                var registry;
+                beforeEach(function () {
+                    registry = new CommandRegistry(storageBackends[backendName]());
+                });
+
+                it('should add a command and retrieve it by name', function () {
+                    return registry.add(new TestCommand())
+                        .then(function (added) {
+                            assert.isTrue(added, 'the command should have been added');
+                            return registry.get('test');
+                        })
+                        .then(function (command) {
+                            assert.deepEqual(command, {name: 'test', description: 'A test command to prove that the library works', category: null, aliases: []}, 'the command description should be stored');
+                        });
+                });
+                it('should not add a command twice nor update a missing one', function () {
+                    return registry.update(new TestCommand())
+                        .then(function (updated) {
+                            assert.isFalse(updated, 'a missing command should not be updated');
+                            return registry.add(new TestCommand());
+                        })
+                        .then(function () {
+                            return registry.add(new TestCommand());
+                        })
+                        .then(function (added) {
+                            assert.isFalse(added, 'an existing command should not be added again');
+                        });
+                });
+                it('should update an existing command', function () {
+                    var command = new TestCommand();
+                    return registry.add(command)
+                        .then(function () {
+                            command.help = 'An updated description';
+                            return registry.update(command);
+                        })
+                        .then(function (updated) {
+                            assert.isTrue(updated, 'the command should have been updated');
+                            return assert.eventually.propertyVal(registry.get('test'), 'description', 'An updated description');
+                        });
+                });
+                it('should remove a command', function () {
+                    return registry.add(new TestCommand())
+                        .then(function () {
+                            return registry.remove('test');
+                        })
+                        .then(function (removed) {
+                            assert.isTrue(removed, 'the command should have been removed');
+                            return assert.eventually.isNull(registry.get('test'), 'the removed command should not be retrieved');
+                        });
+                });
+                it('should list all the commands and the ones by prefix', function () {
+                    return new Dispatcher()
+                        .addCommand(TestingCommand)
+                        .addCommand(TestCommand)
+                        .publish(registry)
+                        .then(function () {
+                            return registry.list();
+                        })
+                        .then(function (commands) {
+                            assert.deepEqual(commands.map(function (command) { return command.name; }), ['test', 'testing'], 'every command should be listed by name');
+                            return registry.listByPrefix('testi');
+                        })
+                        .then(function (commands) {
+                            assert.deepEqual(commands.map(function (command) { return command.name; }), ['testing'], 'only the commands with the prefix should be listed');
+                        });
+                });
+
+            });
+
+        });
 
     });
 
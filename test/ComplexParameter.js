@@ -18,8 +18,8 @@ class ComplexParameter extends Parameter {
      * Just puts what is given by parameter in the model. 
      * @param date cannot be empty
      */
-    parse(wholeCommand){
-        this.command.model.complexDump = wholeCommand;
+    parse(wholeCommand,context){
+        context.model.complexDump = wholeCommand;
     }
 }
 
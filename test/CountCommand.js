@@ -0,0 +1,23 @@
+"use strict";
+
+let Command = require('../Command.js');
+
+/**
+ * A test command that counts the lines of a text, which
+ * may be piped from the previous command of a chain.
+ * @type {CountCommand}
+ */
+class CountCommand extends Command {
+    constructor() {
+        super('count');
+        this.addParameter({name: 'text', positional: true, required: true, pipe: true, help: 'the text whose lines to count'});
+        this.help = "Counts the lines of a text";
+    }
+
+    run(context){
+        return context.model.text.split('\n').length;
+    }
+
+}
+
+module.exports = CountCommand;
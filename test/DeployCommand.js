@@ -0,0 +1,30 @@
+"use strict";
+
+let Command = require('../Command.js');
+
+/**
+ * A test command that uses the flags syntax, with
+ * positional parameters, flags and short names.
+ * @type {DeployCommand}
+ */
+class DeployCommand extends Command {
+    constructor() {
+        super('deploy');
+        this.aliases = ['ship'];
+        this.syntax = Command.SYNTAX_FLAGS;
+        this.addParameter({name: 'app', positional: true, required: true, help: 'the application to deploy'});
+        this.addParameter({name: 'env', type: 'enum', values: ['production', 'staging'], positional: true, default: 'staging', help: 'where to deploy it'});
+        this.addParameter({name: 'force', type: 'boolean', short: 'f', default: false, help: 'whether to skip the checks'});
+        this.addParameter({name: 'verbose', type: 'boolean', short: 'v', default: false, help: 'whether to show every step'});
+        this.addParameter({name: 'tag', multiple: true, short: 't', help: 'the tags to deploy'});
+        this.addParameter({name: 'replicas', type: 'integer', short: 'r', aliases: ['instances'], min: 1, help: 'how many instances'});
+        this.help = "A test command with the flags syntax";
+    }
+
+    run(context){
+        return context.model;
+    }
+
+}
+
+module.exports = DeployCommand;
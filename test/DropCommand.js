@@ -0,0 +1,24 @@
+"use strict";
+
+let Command = require('../Command.js');
+
+/**
+ * A test command that must be confirmed, unless
+ * the dropped table is the scratch one.
+ * @type {DropCommand}
+ */
+class DropCommand extends Command {
+    constructor() {
+        super('drop');
+        this.addParameter({name: 'table', positional: true, required: true, help: 'the table to drop'});
+        this.confirm = (model) => model.table !== 'scratch';
+        this.help = "Drops a table";
+    }
+
+    run(context){
+        return 'dropped ' + context.model.table;
+    }
+
+}
+
+module.exports = DropCommand;
@@ -0,0 +1,58 @@
+"use strict";
+
+var Promise = require('bluebird');
+
+/**
+ * A clock whose time only moves when told to, to test the scheduled
+ * commands without waiting for them.
+ * The time starts at the given value, or at the current time.
+ * @type {FakeClock}
+ */
+class FakeClock {
+    constructor(time) {
+        this.time = typeof time === 'number' ? time : Date.now();
+        this.timers = new Map();
+        this.lastId = 0;
+    }
+
+    now(){
+        return this.time;
+    }
+
+    setTimeout(callback,delay){
+        let id = ++this.lastId;
+        this.timers.set(id,{callback: callback, at: this.time+delay});
+        return id;
+    }
+
+    clearTimeout(id){
+        this.timers.delete(id);
+    }
+
+    /**
+     * Moves the time forward, invoking the timers that become due one after
+     * the other, in the order of their time.
+     * @param {number} duration - the milliseconds to move the time by.
+     * @returns {Promise} - resolved when every timer invoked, and whatever
+     *          it returned, is done.
+     */
+    tick(duration){
+        let end = this.time+duration;
+        let next = null;
+        for(let entry of this.timers){
+            if(entry[1].at <= end && (next === null || entry[1].at < next[1].at)){
+                next = entry;
+            }
+        }
+        if(next === null){
+            this.time = end;
+            return Promise.resolve();
+        }
+        this.timers.delete(next[0]);
+        this.time = Math.max(this.time,next[1].at);
+        return Promise.try(next[1].callback)
+            .then(() => this.tick(end-this.time));
+    }
+}
+
+module.exports = FakeClock;
@@ -0,0 +1,88 @@
+"use strict";
+
+/**
+ * A minimal stand-in for a hubot robot, to test the integration
+ * of the commands with hubot without a live chat.
+ * Every message sent or replied by the listeners, or sent to a
+ * room, is kept in the "messages" attribute.
+ * @type {FakeRobot}
+ */
+class FakeRobot {
+    constructor() {
+        this.listeners = [];
+        this.messages = [];
+        this.brain = new FakeBrain();
+    }
+
+    respond(pattern,callback){
+        this.listeners.push({pattern: pattern, callback: callback, type: 'respond'});
+    }
+
+    hear(pattern,callback){
+        this.listeners.push({pattern: pattern, callback: callback, type: 'hear'});
+    }
+
+    messageRoom(room,message){
+        this.messages.push({type: 'room', room: room, message: message});
+    }
+
+    /**
+     * Simulates the reception of a chat message, invoking the first
+     * listener whose pattern matches it.
+     * @param {string} text - the text of the message.
+     * @param {string} userName - Optional. The name of the user that writes it. Defaults to alice.
+     * @param {string} room - Optional. The room where it is written. Defaults to general.
+     * @returns {Promise} - whatever the listener returned.
+     */
+    receive(text,userName,room){
+        let message = {
+            text: text,
+            user: {id: userName || 'alice', name: userName || 'alice', room: room || 'general'},
+            room: room || 'general'
+        };
+        for(let listener of this.listeners){
+            let match = text.match(listener.pattern);
+            if(match !== null){
+                return listener.callback(this.createResponse(match,message));
+            }
+        }
+        return null;
+    }
+
+    createResponse(match,message){
+        return {
+            match: match,
+            message: message,
+            send: (message) => this.messages.push({type: 'send', message: message}),
+            reply: (message) => this.messages.push({type: 'reply', message: message})
+        };
+    }
+}
+
+/**
+ * The key-value part of the hubot brain.
+ */
+class FakeBrain {
+    constructor() {
+        this.data = {};
+    }
+
+    get(key){
+        return this.data.hasOwnProperty(key) ? this.data[key] : null;
+    }
+
+    set(key,value){
+        this.data[key] = value;
+    }
+
+    userForId(id){
+        let users = this.get('users') || {};
+        if(!users.hasOwnProperty(id)){
+            users[id] = {id: id, name: id};
+            this.set('users',users);
+        }
+        return users[id];
+    }
+}
+
+module.exports = FakeRobot;
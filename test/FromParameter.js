@@ -13,18 +13,21 @@ class FromParameter extends Parameter {
         super('from',command);
         this.help.header = "when to start";
         this.help.detail = "From when to start the command. ISO8601 date format expected.";
+        this.required = true;
+        this.type = 'date';
     }
 
     /**
      * Expects an ISO8601 date format.
      * @param date cannot be empty
+     * @param context of the execution
      */
-    parse(date){
+    parse(date,context){
         if(typeof date === 'undefined' || date === '') {
             throw new ParseError('the "from" parameter cannot be empty');
         }
 
-        this.command.model.from = new Date(date);
+        context.model.from = new Date(date);
     }
 }
 
@@ -0,0 +1,31 @@
+"use strict";
+
+var Parameter = require('../Parameter');
+var ParseError = require('../exceptions').ParseError;
+
+/**
+ * The parameter 'from' of the LegacyTestCommand.
+ * Only admits ISO8601 format.
+ * @type {LegacyFromParameter}
+ */
+class LegacyFromParameter extends Parameter {
+    constructor(command){
+        super('from',command);
+        this.help.header = "when to start";
+        this.help.detail = "From when to start the command. ISO8601 date format expected.";
+    }
+
+    /**
+     * Expects an ISO8601 date format.
+     * @param date cannot be empty
+     */
+    parse(date){
+        if(typeof date === 'undefined' || date === '') {
+            throw new ParseError('the "from" parameter cannot be empty');
+        }
+
+        this.command.model.from = new Date(date);
+    }
+}
+
+module.exports = LegacyFromParameter;
@@ -0,0 +1,41 @@
+"use strict";
+
+let Command = require('../Command.js');
+let LegacyFromParameter = require('./LegacyFromParameter');
+let LegacyToParameter = require('./LegacyToParameter');
+let LegacyComplexParameter = require('./LegacyComplexParameter.js');
+
+/**
+ * The test command as written before the invocation contexts, whose
+ * parameters, validation and run method work with this.model, to test
+ * the compatibility with the commands written that way.
+ * @constructor
+ * @type {LegacyTestCommand}
+ */
+class LegacyTestCommand extends Command {
+    constructor() {
+        super('legacy');
+        this.addParameter(new LegacyFromParameter(this));
+        this.addParameter(new LegacyToParameter(this));
+		this.addParameter(new LegacyComplexParameter(this));
+        this.help = "A test command to prove that the library works";
+    }
+
+    run(){
+        this.model.executed = true;
+        return this.model;
+    }
+
+    validate(){
+        //Validates that the from date is before the to date
+		let areDatesCorrect = this.model.from.getTime() < this.model.to.getTime();
+
+		//Validates that the complex parameter has done it's work
+		let isWholeParameterCorrect = this.model.complexDump === 'from 2015-12-01T09:00 to 2015-12-01T10:30'; //This comes from the test.js file
+
+		return areDatesCorrect && isWholeParameterCorrect;
+    }
+
+}
+
+module.exports = LegacyTestCommand;
@@ -0,0 +1,25 @@
+"use strict";
+
+let Command = require('../Command.js');
+
+/**
+ * A test command that asks the user for the
+ * required parameters that are missing.
+ * @type {RemindCommand}
+ */
+class RemindCommand extends Command {
+    constructor() {
+        super('remind');
+        this.addParameter({name: 'who', positional: true, required: true, prompt: 'Who should I remind?'});
+        this.addParameter({name: 'at', type: 'date', required: true, help: 'when to remind'});
+        this.promptMissing = true;
+        this.help = "Reminds someone of something";
+    }
+
+    run(context){
+        return 'reminding ' + context.model.who + ' at ' + context.model.at.toISOString();
+    }
+
+}
+
+module.exports = RemindCommand;
@@ -0,0 +1,64 @@
+"use strict";
+
+let Command = require('../Command.js');
+let Parameter = require('../Parameter.js');
+let ParseError = require('../exceptions.js').ParseError;
+
+/**
+ * A parameter that checks asynchronously that the
+ * repository exists, as a backend would.
+ * @type {RepoParameter}
+ */
+class RepoParameter extends Parameter {
+    constructor(command){
+        super('repo',command);
+        this.positional = true;
+        this.required = true;
+    }
+
+    parse(name,context){
+        return new Promise((resolve,reject) => {
+            setTimeout(() => {
+                if(name === 'offline'){
+                    reject(new Error('the backend is down'));
+                } else if(REPOSITORIES.indexOf(name) === -1){
+                    reject(new ParseError('the repository '+name+' does not exist'));
+                } else {
+                    context.model.repo = name;
+                    resolve();
+                }
+            },1);
+        });
+    }
+}
+
+/**
+ * A test command whose parameters parse and
+ * validate their values asynchronously.
+ * @type {RepoCommand}
+ */
+class RepoCommand extends Command {
+    constructor() {
+        super('repo');
+        this.addParameter(new RepoParameter(this));
+        this.addParameter({
+            name: 'branch',
+            validate: (branch) => Promise.resolve(branch !== 'gone' || 'the branch was deleted')
+        });
+        this.help = "Tells about a repository";
+    }
+
+    validate(context){
+        return Promise.resolve(context.model.repo !== 'archive' || context.model.branch !== 'master'
+            ? [] : [{parameter: 'branch', message: 'is read only in the archive'}]);
+    }
+
+    run(context){
+        return context.model.repo + '@' + (context.model.branch || 'master');
+    }
+
+}
+
+const REPOSITORIES = ['library', 'archive'];
+
+module.exports = RepoCommand;
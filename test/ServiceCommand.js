@@ -0,0 +1,22 @@
+"use strict";
+
+let Command = require('../Command.js');
+let ServiceStartCommand = require('./ServiceStartCommand.js');
+let ServiceStatusCommand = require('./ServiceStatusCommand.js');
+
+/**
+ * A test command made only of subcommands.
+ * @type {ServiceCommand}
+ */
+class ServiceCommand extends Command {
+    constructor() {
+        super('service');
+        this.addSubcommand(new ServiceStartCommand());
+        this.addSubcommand(new ServiceStatusCommand());
+        this.help = "Manages the services";
+        this.category = 'ops';
+    }
+
+}
+
+module.exports = ServiceCommand;
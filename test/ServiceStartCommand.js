@@ -0,0 +1,26 @@
+"use strict";
+
+let Command = require('../Command.js');
+
+/**
+ * The start subcommand of the ServiceCommand.
+ * @type {ServiceStartCommand}
+ */
+class ServiceStartCommand extends Command {
+    constructor() {
+        super('start');
+        this.addParameter({name: 'service', positional: true, required: true, help: 'the service to start'});
+        this.help = "Starts a service";
+    }
+
+    run(context){
+        return 'started ' + context.model.service;
+    }
+
+    validate(context){
+        return context.model.service !== 'broken';
+    }
+
+}
+
+module.exports = ServiceStartCommand;
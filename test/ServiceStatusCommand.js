@@ -0,0 +1,21 @@
+"use strict";
+
+let Command = require('../Command.js');
+
+/**
+ * The status subcommand of the ServiceCommand.
+ * @type {ServiceStatusCommand}
+ */
+class ServiceStatusCommand extends Command {
+    constructor() {
+        super('status');
+        this.help = "Tells the status of every service";
+    }
+
+    run(){
+        return 'all running';
+    }
+
+}
+
+module.exports = ServiceStatusCommand;
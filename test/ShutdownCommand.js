@@ -0,0 +1,29 @@
+"use strict";
+
+let Command = require('../Command.js');
+
+/**
+ * A test command restricted to some users, with
+ * restricted parameters too.
+ * @type {ShutdownCommand}
+ */
+class ShutdownCommand extends Command {
+    constructor() {
+        super('shutdown');
+        this.roles = ['admin'];
+        this.addParameter({name: 'force', type: 'boolean', roles: ['root'], help: 'whether to kill the running jobs'});
+        this.addParameter({name: 'reason', authorize: (context) => context.room === 'ops', help: 'why, only from the ops room'});
+        this.help = "Shuts the bot down";
+    }
+
+    authorize(context){
+        return context.room !== 'lobby';
+    }
+
+    run(){
+        return 'shutting down';
+    }
+
+}
+
+module.exports = ShutdownCommand;
@@ -0,0 +1,26 @@
+"use strict";
+
+let Command = require('../Command.js');
+
+/**
+ * A test command that takes a while to run, and
+ * stops as soon as it is cancelled.
+ * @type {SlowCommand}
+ */
+class SlowCommand extends Command {
+    constructor() {
+        super('slow');
+        this.addParameter({name: 'delay', type: 'integer', positional: true, default: 1000, help: 'the milliseconds to take'});
+        this.help = "Takes a while to answer";
+    }
+
+    run(context){
+        return new Promise((resolve) => {
+            let timer = setTimeout(() => resolve('done'), context.model.delay);
+            context.cancellation.onCancel(() => clearTimeout(timer));
+        });
+    }
+
+}
+
+module.exports = SlowCommand;
@@ -20,19 +20,25 @@ class TestCommand extends Command {
         this.help = "A test command to prove that the library works";
     }
 
-    run(){
-        this.model.executed = true;
-        return this.model;
+    run(context){
+        context.model.executed = true;
+        return context.model;
     }
 
-    validate(){
+    validate(context){
+        let errors = [];
+
         //Validates that the from date is before the to date
-		let areDatesCorrect = this.model.from.getTime() < this.model.to.getTime();
+		if(context.model.from.getTime() >= context.model.to.getTime()){
+            errors.push({parameter: 'from', message: 'must be earlier than the to parameter'});
+        }
 
 		//Validates that the complex parameter has done it's work
-		let isWholeParameterCorrect = this.model.complexDump === 'from 2015-12-01T09:00 to 2015-12-01T10:30'; //This comes from the test.js file
+		if(context.model.complexDump !== 'from 2015-12-01T09:00 to 2015-12-01T10:30'){ //This comes from the test.js file
+            errors.push({parameter: 'complex', message: 'did not receive the whole command'});
+        }
 
-		return areDatesCorrect && isWholeParameterCorrect;
+		return errors;
     }
 
 }
@@ -0,0 +1,22 @@
+"use strict";
+
+let Command = require('../Command.js');
+
+/**
+ * A command whose name starts with the name of the TestCommand,
+ * to check that the dispatcher routes each input to the right command.
+ * @type {TestingCommand}
+ */
+class TestingCommand extends Command {
+    constructor() {
+        super('testing');
+        this.help = "A command whose name shares a prefix with the test command";
+    }
+
+    run(){
+        return 'testing';
+    }
+
+}
+
+module.exports = TestingCommand;
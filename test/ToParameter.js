@@ -12,18 +12,21 @@ class ToParameter extends Parameter {
         super('to',command);
         this.help.header = "when to stop";
         this.help.detail = "When to stop the command. ISO8601 date format expected.";
+        this.required = true;
+        this.type = 'date';
     }
 
     /**
      * Expects an ISO8601 date format.
      * @param date cannot be empty
+     * @param context of the execution
      */
-    parse(date){
+    parse(date,context){
         if(typeof date === 'undefined' || date === '') {
             throw new ParseError('the "to" parameter cannot be empty');
         }
 
-        this.command.model.to = new Date(date);
+        context.model.to = new Date(date);
     }
 }
 
@@ -0,0 +1,35 @@
+"use strict";
+
+let Command = require('../Command.js');
+
+/**
+ * A test command whose parameters are all declared
+ * with the built-in typed parameters.
+ * @type {TypedCommand}
+ */
+class TypedCommand extends Command {
+    constructor() {
+        super('typed');
+        this.addParameter({name: 'at', type: 'date', help: 'when to do it'});
+        this.addParameter({name: 'count', type: 'integer', min: 1, help: 'how many times'});
+        this.addParameter({name: 'ratio', type: 'number', help: 'which ratio'});
+        this.addParameter({name: 'env', type: 'enum', values: ['production', 'staging'], help: 'where'});
+        this.addParameter({name: 'every', type: 'duration', help: 'how often'});
+        this.addParameter({name: 'notify', type: 'boolean', default: false, help: 'whether to notify'});
+        this.addParameter({name: 'owner', type: 'user', help: 'who is responsible'});
+        this.addParameter({name: 'tag', multiple: true, help: 'a tag for the run'});
+        this.addParameter({
+            name: 'label',
+            help: {header: 'a label', detail: 'Any text to label the run.'},
+            validate: (label) => label !== 'forbidden' || 'is a reserved label'
+        });
+        this.help = "A test command with typed parameters";
+    }
+
+    run(context){
+        return context.model;
+    }
+
+}
+
+module.exports = TypedCommand;
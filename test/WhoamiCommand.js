@@ -0,0 +1,22 @@
+"use strict";
+
+let Command = require('../Command.js');
+
+/**
+ * A test command that tells who executes it, and where,
+ * as found in the context of the execution.
+ * @type {WhoamiCommand}
+ */
+class WhoamiCommand extends Command {
+    constructor() {
+        super('whoami');
+        this.help = "Tells who you are";
+    }
+
+    run(context){
+        return context.user.name + ' in ' + context.room;
+    }
+
+}
+
+module.exports = WhoamiCommand;
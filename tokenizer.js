@@ -0,0 +1,127 @@
+"use strict";
+
+var ParseError = require('./exceptions.js').ParseError;
+
+/**
+ * Splits a command input string into tokens.
+ *
+ * Tokens are separated by any amount of whitespace. Double and single
+ * quotes that begin a token group words into a single token, and a backslash
+ * escapes the next character, so that it is taken literally. The quotes inside
+ * a word, such as the apostrophe of "don't", are kept as they are:
+ *     tokenize('message "send to team" as\ bot')
+ *     // [{value:'message',literal:false},{value:'send to team',literal:true},{value:'as bot',literal:true}]
+ * Tokens that had any quoted or escaped part are marked as literal, which
+ * lets the command know that they cannot be parameter names, but values.
+ *
+ * @param {string} text - the text to tokenize.
+ * @returns {Array} - the tokens, as objects with value and literal attributes.
+ * @throws {ParseError} - when a quote is not closed, or the text ends with a backslash.
+ */
+function tokenize(text){
+    let tokens = [];
+    let current = null;
+    let quote = null;
+    for(let i = 0; i < text.length; i++){
+        let character = text.charAt(i);
+        if(quote === null && /\s/.test(character)){
+            if(current !== null){
+                tokens.push(current);
+                current = null;
+            }
+            continue;
+        }
+
+        let startsToken = current === null;
+        if(startsToken){
+            current = {value: '', literal: false};
+        }
+        if(character === '\\'){
+            i++;
+            if(i === text.length){
+                throw new ParseError('The input cannot end with an escaping backslash');
+            }
+            current.value += text.charAt(i);
+            current.literal = true;
+        } else if(quote === null && startsToken && isQuote(character)){
+            quote = character;
+            current.literal = true;
+        } else if(character === quote){
+            quote = null;
+        } else {
+            current.value += character;
+        }
+    }
+
+    if(quote !== null){
+        throw new ParseError('The quote ('+quote+') is not closed');
+    }
+    if(current !== null){
+        tokens.push(current);
+    }
+
+    return tokens;
+}
+
+/**
+ * Splits an input into the stages of a chain of commands, which are separated
+ * by the operators ";" (executes the next stage in any case), "&&" (executes it
+ * if the previous one succeeds) and "|" (gives it the result of the previous
+ * one). The operators are only taken into account outside of quotes and when
+ * they are not escaped, the quotes being found as tokenize does, and the stages
+ * are left as they are written:
+ *     splitChain('search "a | b" | count')
+ *     // [{input:'search "a | b"',operator:null},{input:'count',operator:'|'}]
+ *
+ * @param {string} text - the text to split.
+ * @returns {Array} - the stages, with their input and the operator that precedes
+ *          them, which is null for the first one.
+ * @throws {ParseError} - when a quote is not closed, or a stage is empty.
+ */
+function splitChain(text){
+    let stages = [];
+    let operator = null;
+    let start = 0;
+    let quote = null;
+    let startsToken = true;
+    let addStage = (end,nextOperator) => {
+        let input = text.substring(start,end).trim();
+        if(input === ''){
+            throw new ParseError('The chain of commands ('+text+') has an empty command');
+        }
+        stages.push({input: input, operator: operator});
+        operator = nextOperator;
+    };
+    for(let i = 0; i < text.length; i++){
+        let character = text.charAt(i);
+        let nextOperator = CHAIN_OPERATORS.find((chainOperator) => text.startsWith(chainOperator,i));
+        if(character === '\\'){
+            i++;
+        } else if(quote === null && startsToken && isQuote(character)){
+            quote = character;
+        } else if(character === quote){
+            quote = null;
+        } else if(quote === null && typeof nextOperator !== 'undefined'){
+            addStage(i,nextOperator);
+            i += nextOperator.length-1;
+            start = i+1;
+        }
+        startsToken = quote === null && (/\s/.test(character) || typeof nextOperator !== 'undefined');
+    }
+
+    if(quote !== null){
+        throw new ParseError('The quote ('+quote+') is not closed');
+    }
+    addStage(text.length,null);
+
+    return stages;
+}
+
+function isQuote(character){
+    return character === '"' || character === "'";
+}
+
+const CHAIN_OPERATORS = ['&&',';','|'];
+
+exports.tokenize = tokenize;
+exports.splitChain = splitChain;
@@ -0,0 +1,16 @@
+"use strict";
+
+/**
+ * Tells what identifies a user, as given by hubot: the id, or the name for
+ * the adapters that give none. Executions, conversations, rate limits, history
+ * entries, scheduled jobs and macros all belong to users through this key.
+ *
+ * @param {object} user - the user, which may be missing when the commands are
+ *        executed outside of a chat.
+ * @returns {string} - the key of the user, or null if there is no user.
+ */
+function keyOf(user){
+    return user ? (user.id || user.name || null) : null;
+}
+
+exports.keyOf = keyOf;